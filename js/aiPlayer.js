@@ -3,11 +3,95 @@
  * Implements strategic decision-making with multiple difficulty levels
  */
 
+const MAX_SEARCH_DEPTH = 64;
+
+/**
+ * Search limits for each difficulty level
+ * The minimax engine deepens iteratively until maxDepth or until the per-move time budget
+ * (ms) runs out, whichever comes first. The MCTS engine (see mctsEngine.js) runs the given
+ * number of playouts within the time budget. With endgameSeeds or fewer seeds on the board
+ * either engine solves the position exactly instead (see endgameSolver.js); 0 turns the
+ * solver off.
+ */
+const AI_DIFFICULTIES = {
+    easy: { engine: 'minimax', maxDepth: 2, timeBudget: 500, endgameSeeds: 0 },
+    medium: { engine: 'minimax', maxDepth: 4, timeBudget: 1000, endgameSeeds: ENDGAME_SEED_LIMIT },
+    hard: { engine: 'minimax', maxDepth: MAX_SEARCH_DEPTH, timeBudget: 2000, endgameSeeds: ENDGAME_SEED_LIMIT },
+    mcts: { engine: 'mcts', playouts: MCTS_DEFAULT_PLAYOUTS, timeBudget: 2000, endgameSeeds: ENDGAME_SEED_LIMIT },
+    'mcts-strong': { engine: 'mcts', playouts: 50000, timeBudget: 5000, endgameSeeds: ENDGAME_SEED_LIMIT }
+};
+
+/**
+ * Human-like skill levels, chosen as difficulty 'skill-1' to 'skill-10'
+ * Below the top level the AI scores every move to a fixed depth and then picks one at
+ * random, favouring the better moves more strongly the lower the temperature (in
+ * evaluation points; 10 is one seed in store). With the oversight chance it misses the
+ * opponent's capture replies for that move and judges the moves only by where they
+ * leave the board, as a person overlooking a threat would.
+ */
+const AI_SKILL_LEVELS = {
+    1: { engine: 'minimax', maxDepth: 1, timeBudget: 1000, endgameSeeds: 0, temperature: 200, oversight: 0.5 },
+    2: { engine: 'minimax', maxDepth: 1, timeBudget: 1000, endgameSeeds: 0, temperature: 120, oversight: 0.4 },
+    3: { engine: 'minimax', maxDepth: 2, timeBudget: 1000, endgameSeeds: 0, temperature: 80, oversight: 0.3 },
+    4: { engine: 'minimax', maxDepth: 2, timeBudget: 1000, endgameSeeds: 0, temperature: 50, oversight: 0.22 },
+    5: { engine: 'minimax', maxDepth: 3, timeBudget: 1000, endgameSeeds: 0, temperature: 30, oversight: 0.15 },
+    6: { engine: 'minimax', maxDepth: 3, timeBudget: 1000, endgameSeeds: 0, temperature: 18, oversight: 0.1 },
+    7: { engine: 'minimax', maxDepth: 4, timeBudget: 1000, endgameSeeds: 0, temperature: 10, oversight: 0.06 },
+    8: { engine: 'minimax', maxDepth: 4, timeBudget: 1000, endgameSeeds: ENDGAME_SEED_LIMIT, temperature: 5, oversight: 0.03 },
+    9: { engine: 'minimax', maxDepth: 6, timeBudget: 1000, endgameSeeds: ENDGAME_SEED_LIMIT, temperature: 2, oversight: 0.01 },
+    10: { ...AI_DIFFICULTIES.hard, temperature: 0, oversight: 0 }
+};
+
+// Adaptive skill looks at the player's results over this many recent games
+const SKILL_ADAPT_WINDOW = 3;
+
+const HINT_SEARCH_DEPTH = 6; // Moves searched for each hint, replies included
+const HINT_CANDIDATES = 3;   // Top moves listed in a hint
+const LINE_LENGTH = 6;       // Most moves followed in an expected continuation (principal variation)
+
+const EVALUATION_DEPTH = 6;         // Moves searched for the evaluation bar
+const EVALUATION_TIME_BUDGET = 500; // Milliseconds the evaluation bar's search may take
+const WIN_PROBABILITY_SCALE = 8;    // Seeds of lead that make a win e (about 2.7) times likelier than a loss
+
+/**
+ * Weights of the position evaluation terms
+ * Each term compares the AI's side with the player's; tools/tuneWeights.js tunes them by self-play.
+ */
+const DEFAULT_EVALUATION_WEIGHTS = {
+    score: 10,      // Per seed of store difference
+    stones: 2,      // Per seed of difference in seeds on each row
+    mobility: 5,    // Per playable pit of difference
+    middlePit: 2,   // Per seed in a row's middle pit
+    cornerPit: 1,   // Per seed in a row's corner pits
+    emptyPit: 3,    // Per empty pit on a row (a penalty)
+    capture: 15     // Per seed the side to move can capture at once
+};
+
 class PallanguzhiAI {
     constructor(difficulty = 'medium') {
-        this.difficulty = difficulty;
-        this.maxDepth = this.getMaxDepth(difficulty);
+        this.setDifficulty(difficulty);
         this.lastExplanation = '';
+        this.explainer = new MoveExplainer(); // Phrases explanations and hints (see moveExplainer.js)
+        this.lastSearch = null; // Depth, node count and time of the last search
+        this.weights = { ...DEFAULT_EVALUATION_WEIGHTS };
+        this.random = Math.random; // Source of the skill levels' randomness
+        this.adaptiveSkill = false; // Move the skill level with the player's results
+        this.recentResults = []; // Player's results since the skill level last changed (1, 0.5, 0)
+
+        // Positions already searched, kept between moves (see transpositionTable.js)
+        this.useTranspositionTable = true;
+        this.transpositionTable = null; // Created on first search
+        this.endgameSolver = new EndgameSolver(); // Keeps its solved tables between moves
+        this.mcts = new MCTSEngine();
+        // Generated opening moves (see openingBook.js); the data file is optional
+        this.openingBook = new OpeningBook(typeof OPENING_BOOK_DATA !== 'undefined' ? OPENING_BOOK_DATA : null);
+        this.useOpeningBook = true;
+
+        // Per-search counters, reset by searchBestMove
+        this.nodes = 0;
+        this.deadline = Infinity;
+        this.canAbort = false;
+        this.aborted = false;
     }
 
     /**
@@ -16,21 +100,85 @@ class PallanguzhiAI {
      * @returns {number} - Maximum search depth
      */
     getMaxDepth(difficulty) {
-        switch (difficulty) {
-            case 'easy': return 2;
-            case 'medium': return 4;
-            case 'hard': return 6;
-            default: return 4;
-        }
+        return (AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.medium).maxDepth;
     }
 
     /**
      * Set AI difficulty level
-     * @param {string} difficulty - New difficulty level
+     * Either a named level or custom limits: { maxDepth } for a fixed depth,
+     * { timeBudget } in milliseconds per move, or both, and optionally { endgameSeeds }.
+     * { engine: 'mcts', playouts } selects the MCTS engine with a playout budget, and
+     * { temperature, oversight } make a minimax search play like a skill level.
+     * 'skill-1' to 'skill-10' select a level of AI_SKILL_LEVELS.
+     * @param {string|Object} difficulty - Key of AI_DIFFICULTIES, skill level or custom limits
      */
     setDifficulty(difficulty) {
-        this.difficulty = difficulty;
-        this.maxDepth = this.getMaxDepth(difficulty);
+        const skill = typeof difficulty === 'string' ? /^skill-(\d+)$/.exec(difficulty) : null;
+        this.skill = skill && AI_SKILL_LEVELS[skill[1]] ? Number(skill[1]) : null;
+
+        if (typeof difficulty === 'object') {
+            this.difficulty = 'custom';
+            this.searchLimits = {
+                engine: difficulty.engine || 'minimax',
+                playouts: difficulty.playouts || MCTS_DEFAULT_PLAYOUTS,
+                maxDepth: difficulty.maxDepth || MAX_SEARCH_DEPTH,
+                timeBudget: difficulty.timeBudget || Infinity,
+                endgameSeeds: difficulty.endgameSeeds !== undefined ? difficulty.endgameSeeds : ENDGAME_SEED_LIMIT,
+                temperature: difficulty.temperature || 0,
+                oversight: difficulty.oversight || 0
+            };
+        } else if (this.skill) {
+            this.difficulty = difficulty;
+            this.searchLimits = { ...AI_SKILL_LEVELS[this.skill] };
+        } else {
+            this.difficulty = difficulty;
+            this.searchLimits = { ...(AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.medium) };
+        }
+        this.maxDepth = this.searchLimits.maxDepth;
+    }
+
+    /**
+     * Record the result of a finished game and adapt the skill level to it
+     * With adaptive skill on, a player who scored two thirds or more of the recent games
+     * meets the next level up, and one who scored a third or less the next level down.
+     * @param {string} winner - 'player', 'ai' or 'tie'
+     * @returns {number|null} - The new skill level, or null if it did not change
+     */
+    recordResult(winner) {
+        if (!this.adaptiveSkill || !this.skill) return null;
+
+        this.recentResults.push(winner === 'player' ? 1 : (winner === 'tie' ? 0.5 : 0));
+        this.recentResults = this.recentResults.slice(-SKILL_ADAPT_WINDOW);
+        if (this.recentResults.length < 2) return null;
+
+        const score = this.recentResults.reduce((sum, result) => sum + result, 0) / this.recentResults.length;
+        let level = this.skill;
+        if (score >= 2 / 3) {
+            level = Math.min(10, level + 1);
+        } else if (score <= 1 / 3) {
+            level = Math.max(1, level - 1);
+        }
+        if (level === this.skill) return null;
+
+        // Judge the new level on its own games
+        this.setDifficulty(`skill-${level}`);
+        this.recentResults = [];
+        return level;
+    }
+
+    /**
+     * Set the evaluation weights
+     * @param {Object} weights - Weights to change, keyed as in DEFAULT_EVALUATION_WEIGHTS
+     */
+    setWeights(weights) {
+        const next = { ...DEFAULT_EVALUATION_WEIGHTS, ...weights };
+        const changed = Object.keys(next).some(key => next[key] !== this.weights[key]);
+        this.weights = next;
+
+        // Stored scores were computed with the old weights
+        if (changed && this.transpositionTable) {
+            this.transpositionTable.clear();
+        }
     }
 
     /**
@@ -42,54 +190,452 @@ class PallanguzhiAI {
         const validMoves = game.getValidMoves();
         
         if (validMoves.length === 0) {
-            return { move: null, explanation: 'No valid moves available.' };
+            return { move: null, explanation: this.explainer.text.noMoves };
         }
 
         if (validMoves.length === 1) {
-            const explanation = `Only one move available from pit ${validMoves[0] + 1}.`;
+            const explanation = this.explainer.text.onlyMove(game.getPitNumber(validMoves[0]));
             this.lastExplanation = explanation;
             return { move: validMoves[0], explanation: explanation };
         }
 
-        // Use minimax algorithm with alpha-beta pruning
-        const bestMove = this.minimax(game, this.maxDepth, true, -Infinity, Infinity);
-        
-        // Generate explanation for the chosen move
-        const explanation = this.generateMoveExplanation(game, bestMove.move);
+        const bookMove = this.consultOpeningBook(game.toState());
+        if (bookMove) {
+            return this.describeChoice(game, bookMove.move, bookMove);
+        }
+
+        const bestMove = this.searchBestMove(game.toState());
+        return this.describeChoice(game, bestMove.move, bestMove);
+    }
+
+    /**
+     * Pick a move from the opening book, if the position is in it
+     * The skill levels below 10 keep their own variety and mistakes, so they never use the book.
+     * @param {Object} state - GameState state
+     * @returns {Object|null} - Search-like report { move, score, depth, nodes, ttHits, time,
+     *     book, weight, alternatives }, or null when out of book
+     */
+    consultOpeningBook(state) {
+        if (!this.useOpeningBook || this.searchLimits.temperature > 0) return null;
+
+        const entry = this.openingBook.choose(state, this.random);
+        if (!entry) return null;
+
+        const report = {
+            move: entry.move,
+            score: entry.score,
+            depth: 0,
+            nodes: 0,
+            ttHits: 0,
+            time: 0,
+            book: true,
+            weight: entry.weight,
+            alternatives: entry.alternatives
+        };
+        this.lastSearch = report;
+        return report;
+    }
+
+    /**
+     * Search a position for the best move with iterative deepening
+     * Each iteration searches one ply deeper, trying the previous iteration's best move
+     * first, until the depth limit or time budget is reached. An iteration cut short by
+     * the clock is thrown away; the first iteration always completes.
+     * Needs only the GameState state, so it can run in a Web Worker (see aiWorker.js).
+     * Either side may be to move; scores are always from the AI's perspective.
+     * Endgames small enough for the endgame solver are solved exactly instead.
+     * @param {Object} state - GameState state to search
+     * @param {Function} onIteration - Called with the search report after each completed depth
+     * @returns {Object} - { move, score, depth, nodes, ttHits, time, line }, plus { solved, margin }
+     *     for a solved endgame; line is the expected continuation (see principalVariation),
+     *     left out by the MCTS engine
+     */
+    searchBestMove(state, onIteration = null) {
+        const startTime = Date.now();
+        const { maxDepth, timeBudget, endgameSeeds } = this.searchLimits;
+
+        if (this.endgameSolver.canSolve(state, endgameSeeds)) {
+            const solution = this.endgameSolver.solve(state);
+            const report = {
+                move: solution.move,
+                score: this.scoreSolvedMargin(solution.margin),
+                depth: 0,
+                nodes: solution.positions,
+                ttHits: 0,
+                time: Date.now() - startTime,
+                solved: true,
+                margin: solution.margin,
+                line: this.principalVariation(state, solution.move, LINE_LENGTH, true)
+            };
+            if (onIteration) onIteration(report);
+            this.lastSearch = report;
+            return report;
+        }
+
+        if (this.searchLimits.engine === 'mcts') {
+            return this.searchMCTS(state, onIteration);
+        }
+
+        if (this.searchLimits.temperature > 0 || this.searchLimits.oversight > 0) {
+            return this.searchWithSkill(state, onIteration);
+        }
+
+        let moveOrder = GameState.getValidMoves(state);
+        let report = null;
+
+        this.deadline = startTime + timeBudget;
+        this.nodes = 0;
+        this.aborted = false;
+        this.prepareTranspositionTable(state);
+
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            this.canAbort = depth > 1;
+            this.reachedDepthLimit = false;
+
+            // Use minimax algorithm with alpha-beta pruning on a detached copy of the position
+            const result = this.minimax(state, depth, -Infinity, Infinity, moveOrder);
+            if (this.aborted) break;
+
+            report = {
+                move: result.move,
+                score: result.score,
+                depth: depth,
+                nodes: this.nodes,
+                ttHits: this.transpositionTable ? this.transpositionTable.hits : 0,
+                time: Date.now() - startTime
+            };
+            if (onIteration) onIteration(report);
+
+            // Every line already ends the game: deeper iterations would change nothing
+            if (!this.reachedDepthLimit) break;
+
+            moveOrder = [result.move, ...moveOrder.filter(move => move !== result.move)];
+        }
+
+        // Report the whole search, including an abandoned final iteration
+        report.nodes = this.nodes;
+        report.ttHits = this.transpositionTable ? this.transpositionTable.hits : 0;
+        report.time = Date.now() - startTime;
+        report.line = this.principalVariation(state, report.move, LINE_LENGTH);
+        this.lastSearch = report;
+        return report;
+    }
+
+    /**
+     * Carry out a request from AISearchClient, in its worker or on the main thread
+     * @param {Object} request - { task, state }, plus depth for a 'score' task (see aiWorker.js)
+     * @param {Function} onProgress - Called with the search report after each completed depth of a 'search'
+     * @returns {Object} - searchBestMove's report for 'search', { scores } from scoreMoves for
+     *     'score', the rankPlayerMoves ranking for 'hint'
+     */
+    runTask(request, onProgress = null) {
+        if (request.task === 'score') {
+            return { scores: this.scoreMoves(request.state, request.depth) };
+        }
+        if (request.task === 'hint') {
+            return this.rankPlayerMoves(request.state);
+        }
+        return this.searchBestMove(request.state, onProgress);
+    }
+
+    /**
+     * Get the transposition table ready for a search, or drop it when it is switched off
+     * @param {Object} state - GameState state to search
+     */
+    prepareTranspositionTable(state) {
+        if (!this.useTranspositionTable) {
+            this.transpositionTable = null;
+            this.hasher = null;
+            return;
+        }
+
+        if (!this.transpositionTable) {
+            this.transpositionTable = new TranspositionTable();
+        }
+        this.transpositionTable.newSearch(state.config);
+        this.hasher = ZobristHasher.forState(state);
+    }
+
+    /**
+     * Search a position the way a skill level plays
+     * Every move is scored to the level's fixed depth, then one is drawn with probability
+     * proportional to exp(score / temperature), scores taken for the side to move. On an
+     * oversight the moves are scored only by the position they leave, without the
+     * opponent's capture replies, and drawn the same way.
+     * @param {Object} state - GameState state to search
+     * @param {Function} onIteration - Called once with the search report
+     * @returns {Object} - { move, score, depth, nodes, ttHits, time, scores, overlooked, line }
+     *     where scores lists { move, score } for every move, from the AI's perspective
+     */
+    searchWithSkill(state, onIteration = null) {
+        const startTime = Date.now();
+        const { maxDepth, temperature, oversight } = this.searchLimits;
+        const side = state.currentPlayer;
+        const sign = side === 'ai' ? 1 : -1;
+
+        const scores = this.scoreMoves(state, maxDepth);
+        const overlooked = this.random() < oversight;
+        const choices = overlooked ?
+            scores.map(({ move }) => ({ move: move, score: this.scoreOverlookingCaptures(GameState.applyMove(state, move), side) })) :
+            scores;
+        const move = this.drawMove(choices.map(choice => ({ move: choice.move, score: sign * choice.score })), temperature);
+
+        const report = {
+            move: move,
+            score: scores.find(entry => entry.move === move).score,
+            depth: maxDepth,
+            nodes: this.nodes,
+            ttHits: this.transpositionTable ? this.transpositionTable.hits : 0,
+            time: Date.now() - startTime,
+            scores: scores,
+            overlooked: overlooked,
+            line: this.principalVariation(state, move, LINE_LENGTH)
+        };
+        if (onIteration) onIteration(report);
+        this.lastSearch = report;
+        return report;
+    }
+
+    /**
+     * Score every move of a position with a fixed-depth search
+     * Unlike searchBestMove, which only proves the best move, each move gets its own
+     * exact score, so moves can be compared with each other.
+     * @param {Object} state - GameState state, not over
+     * @param {number} depth - Moves to search, the move itself included
+     * @returns {Array<Object>} - { move, score } for every valid move, scores from the AI's perspective
+     */
+    scoreMoves(state, depth) {
+        this.deadline = Infinity;
+        this.canAbort = false;
+        this.nodes = 0;
+        this.aborted = false;
+        this.prepareTranspositionTable(state);
+
+        return GameState.getValidMoves(state).map(move => {
+            const nextState = GameState.applyMove(state, move);
+            return { move: move, score: this.minimax(nextState, depth - 1, -Infinity, Infinity).score };
+        });
+    }
+
+    /**
+     * Estimate the AI's chance of winning from a score
+     * A decided game is certain; otherwise the lead in seeds goes through a logistic
+     * curve, so a lead of WIN_PROBABILITY_SCALE seeds is about a 73% chance.
+     * @param {number} score - Score from the AI's perspective
+     * @returns {number} - Probability from 0 to 1
+     */
+    winProbability(score) {
+        if (score >= 1000) return 1;
+        if (score <= -1000) return 0;
+
+        const seeds = score / this.weights.score;
+        return 1 / (1 + Math.exp(-seeds / WIN_PROBABILITY_SCALE));
+    }
+
+    /**
+     * Score a position as a player who overlooks the opponent's captures would
+     * @param {Object} state - Position after the move
+     * @param {string} side - Side that made the move
+     * @returns {number} - Score from the AI's perspective
+     */
+    scoreOverlookingCaptures(state, side) {
+        const score = this.evaluatePosition(state);
+        if (state.gameOver || state.currentPlayer === side) return score;
+        return score - this.evaluateCaptureOpportunities(state);
+    }
+
+    /**
+     * Draw a move at random, weighting each by exp(score / temperature)
+     * A temperature of 0 always takes the best score.
+     * @param {Array} choices - { move, score } with scores for the side to move
+     * @param {number} temperature - Randomness, in evaluation points
+     * @returns {number} - Chosen move
+     */
+    drawMove(choices, temperature) {
+        const best = choices.reduce((top, choice) => (choice.score > top.score ? choice : top));
+        if (temperature <= 0) return best.move;
+
+        const weights = choices.map(choice => Math.exp((choice.score - best.score) / temperature));
+        let pick = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < choices.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return choices[i].move;
+        }
+        return best.move;
+    }
+
+    /**
+     * Search a position with Monte Carlo Tree Search
+     * @param {Object} state - GameState state to search
+     * @param {Function} onIteration - Called with the search report every 1000 playouts
+     * @returns {Object} - { move, score, depth, nodes, ttHits, time, engine, winRate, candidates };
+     *     nodes counts playouts, and winRate and candidates are for the side to move
+     */
+    searchMCTS(state, onIteration = null) {
+        const toReport = (result) => {
+            // Map the AI's chance of winning onto the minimax scale, where a won game is 1000
+            const aiWinRate = state.currentPlayer === 'ai' ? result.winRate : 1 - result.winRate;
+            return {
+                move: result.move,
+                score: Math.round((aiWinRate * 2 - 1) * 1000),
+                depth: 0,
+                nodes: result.playouts,
+                ttHits: 0,
+                time: result.time,
+                engine: 'mcts',
+                winRate: result.winRate,
+                candidates: result.candidates
+            };
+        };
+
+        const result = this.mcts.search(state, this.searchLimits,
+            onIteration && (progress => onIteration(toReport(progress))));
+        const report = toReport(result);
+        this.lastSearch = report;
+        return report;
+    }
+
+    /**
+     * Describe MCTS statistics for each candidate pit
+     * @param {PallanguzhiGame} game - Game the search was run in
+     * @param {Array} candidates - { move, visits, winRate } by visits, win rates for the side to move
+     * @returns {string} - e.g. "Playouts: pit 3 (1,204 visits, 58% wins), pit 1 (...)"
+     */
+    describeCandidates(game, candidates) {
+        return this.explainer.text.playouts(candidates.map(candidate => ({
+            pit: game.getPitNumber(candidate.move),
+            visits: candidate.visits.toLocaleString(),
+            winRate: Math.round(candidate.winRate * 100)
+        })));
+    }
+
+    /**
+     * Score a solved endgame like a finished game, with the margin breaking ties
+     * @param {number} margin - Final AI store minus player store with perfect play
+     * @returns {number} - Score from the AI's perspective
+     */
+    scoreSolvedMargin(margin) {
+        if (margin > 0) return 1000 + margin;
+        if (margin < 0) return -1000 + margin;
+        return 0;
+    }
+
+    /**
+     * Explain a chosen move and remember the explanation
+     * The explanation is built by the explainer from the search's expected continuation
+     * and scores, in the explainer's language.
+     * @param {PallanguzhiGame} game - Game the move is about to be played in
+     * @param {number} move - The chosen move
+     * @param {Object} search - Report of the search that chose it, if any
+     * @returns {Object} - Move with explanation
+     */
+    describeChoice(game, move, search = null) {
+        const text = this.explainer.text;
+        const state = game.toState();
+        const sign = state.currentPlayer === 'ai' ? 1 : -1;
+
+        // Book moves, solved endgames and playouts carry their own notes instead of a score
+        const estimated = Boolean(search) && !search.book && !search.solved && search.engine !== 'mcts';
+        const others = estimated && search.scores ? search.scores.filter(entry => entry.move !== move) : [];
+        const runnerUp = others.length > 0 ?
+            others.reduce((top, entry) => (sign * entry.score > sign * top.score ? entry : top)) : null;
+
+        let explanation = text.aiChose(game.getPitNumber(move), text.seeds(game.board[move])) +
+            this.explainer.explain(state, move, {
+                line: search ? search.line : null,
+                score: estimated ? sign * search.score : null,
+                depth: estimated ? search.depth : 0,
+                runnerUp: runnerUp && { move: runnerUp.move, score: sign * runnerUp.score },
+                seedValue: this.weights.score
+            });
+        if (search && search.book) {
+            explanation += search.alternatives > 0 ?
+                text.book(search.weight, search.alternatives) : text.bookOnly;
+        } else if (search && search.solved) {
+            explanation += text.solvedAI(search.margin);
+        } else if (search && search.candidates) {
+            explanation += this.describeCandidates(game, search.candidates);
+        }
         this.lastExplanation = explanation;
         
-        return { move: bestMove.move, explanation: explanation };
+        return { move: move, explanation: explanation };
     }
 
     /**
      * Minimax algorithm with alpha-beta pruning
-     * @param {PallanguzhiGame} game - Game instance
-     * @param {number} depth - Current search depth
-     * @param {boolean} isMaximizing - Whether this is a maximizing node
+     * The side to move picks each move: the AI row maximizes, the player row minimizes.
+     * A bonus turn keeps the same side to move, so a bonus chain is searched as
+     * consecutive moves by one side, each move counting as one ply.
+     * Results are kept in the transposition table: a position stored from an equal or
+     * deeper search returns its score (or narrows the window) without being searched
+     * again, and otherwise its stored best move is tried first. The root, which is given
+     * a moveOrder, is always searched so every iteration reports a move.
+     * @param {Object} state - GameState state to search from
+     * @param {number} depth - Moves left to search
      * @param {number} alpha - Alpha value for pruning
      * @param {number} beta - Beta value for pruning
-     * @returns {Object} - Best move and its score
+     * @param {Array} moveOrder - Moves in the order to try them (defaults to all valid moves)
+     * @returns {Object} - Best move and its score (from the AI's perspective)
      */
-    minimax(game, depth, isMaximizing, alpha, beta) {
+    minimax(state, depth, alpha, beta, moveOrder = null) {
+        // Check the clock every 1024 nodes; an aborted search unwinds without a result
+        if ((++this.nodes & 1023) === 0 && this.canAbort && Date.now() > this.deadline) {
+            this.aborted = true;
+        }
+        if (this.aborted) {
+            return { score: 0, move: null };
+        }
+
         // Base case: reached maximum depth or game over
-        if (depth === 0 || game.gameOver) {
-            return { score: this.evaluatePosition(game), move: null };
+        if (state.gameOver) {
+            return { score: this.evaluatePosition(state), move: null };
+        }
+        if (depth === 0) {
+            this.reachedDepthLimit = true;
+            return { score: this.evaluatePosition(state), move: null };
+        }
+
+        const table = this.transpositionTable;
+        const bounds = { alpha: alpha, beta: beta };
+        let hash = null;
+        let validMoves = moveOrder || GameState.getValidMoves(state);
+
+        if (table) {
+            hash = this.hasher.hash(state);
+            const entry = table.probe(hash);
+
+            if (entry && !moveOrder) {
+                if (entry.depth >= depth) {
+                    if (entry.flag === TT_EXACT) {
+                        alpha = beta = entry.score;
+                    } else if (entry.flag === TT_LOWER) {
+                        alpha = Math.max(alpha, entry.score);
+                    } else {
+                        beta = Math.min(beta, entry.score);
+                    }
+                    if (beta <= alpha) {
+                        table.hits++;
+                        // The stored search may have stopped at its depth limit, so keep deepening
+                        this.reachedDepthLimit = true;
+                        return { score: entry.score, move: entry.move };
+                    }
+                }
+
+                if (validMoves.includes(entry.move)) {
+                    validMoves = [entry.move, ...validMoves.filter(move => move !== entry.move)];
+                }
+            }
         }
 
-        const validMoves = game.getValidMoves();
         let bestMove = null;
 
-        if (isMaximizing) {
+        if (state.currentPlayer === 'ai') {
             let maxScore = -Infinity;
             
             for (const move of validMoves) {
-                const simulatedState = game.simulateMove(move);
-                
-                // Create temporary game instance for recursion
-                const tempGame = new PallanguzhiGame();
-                Object.assign(tempGame, simulatedState);
-                
-                const result = this.minimax(tempGame, depth - 1, false, alpha, beta);
+                const nextState = GameState.applyMove(state, move);
+                const result = this.minimax(nextState, depth - 1, alpha, beta);
+                if (this.aborted) break;
                 
                 if (result.score > maxScore) {
                     maxScore = result.score;
@@ -102,18 +648,15 @@ class PallanguzhiAI {
                 }
             }
             
+            this.storeResult(hash, depth, maxScore, bestMove, bounds);
             return { score: maxScore, move: bestMove };
         } else {
             let minScore = Infinity;
             
             for (const move of validMoves) {
-                const simulatedState = game.simulateMove(move);
-                
-                // Create temporary game instance for recursion
-                const tempGame = new PallanguzhiGame();
-                Object.assign(tempGame, simulatedState);
-                
-                const result = this.minimax(tempGame, depth - 1, true, alpha, beta);
+                const nextState = GameState.applyMove(state, move);
+                const result = this.minimax(nextState, depth - 1, alpha, beta);
+                if (this.aborted) break;
                 
                 if (result.score < minScore) {
                     minScore = result.score;
@@ -126,73 +669,94 @@ class PallanguzhiAI {
                 }
             }
             
+            this.storeResult(hash, depth, minScore, bestMove, bounds);
             return { score: minScore, move: bestMove };
         }
     }
 
+    /**
+     * Store a searched node in the transposition table
+     * @param {Object|null} hash - Position hash, or null without a table
+     * @param {number} depth - Depth searched
+     * @param {number} score - Score found
+     * @param {number|null} move - Best move found
+     * @param {Object} bounds - { alpha, beta } the node was searched with
+     */
+    storeResult(hash, depth, score, move, bounds) {
+        // A search cut short by the clock has no trustworthy score
+        if (!hash || this.aborted) return;
+
+        let flag = TT_EXACT;
+        if (score <= bounds.alpha) {
+            flag = TT_UPPER;
+        } else if (score >= bounds.beta) {
+            flag = TT_LOWER;
+        }
+        this.transpositionTable.store(hash, depth, flag, score, move);
+    }
+
     /**
      * Evaluate the current position from AI's perspective
-     * @param {PallanguzhiGame} game - Game instance to evaluate
+     * @param {Object} state - GameState state to evaluate
      * @returns {number} - Position evaluation score
      */
-    evaluatePosition(game) {
-        if (game.gameOver) {
-            if (game.winner === 'ai') return 1000;
-            if (game.winner === 'player') return -1000;
+    evaluatePosition(state) {
+        if (state.gameOver) {
+            if (state.winner === 'ai') return 1000;
+            if (state.winner === 'player') return -1000;
             return 0; // Tie
         }
 
+        const weights = this.weights;
         let score = 0;
 
         // Basic score difference
-        score += (game.aiScore - game.playerScore) * 10;
+        score += (state.aiScore - state.playerScore) * weights.score;
 
         // Stone distribution advantage
-        const aiStones = game.board.slice(7, 14).reduce((sum, stones) => sum + stones, 0);
-        const playerStones = game.board.slice(0, 7).reduce((sum, stones) => sum + stones, 0);
-        score += (aiStones - playerStones) * 2;
+        const aiStones = GameState.getRowStones(state, 'ai');
+        const playerStones = GameState.getRowStones(state, 'player');
+        score += (aiStones - playerStones) * weights.stones;
 
         // Mobility (number of valid moves)
-        const currentPlayer = game.currentPlayer;
-        game.currentPlayer = 'ai';
-        const aiMoves = game.getValidMoves().length;
-        game.currentPlayer = 'player';
-        const playerMoves = game.getValidMoves().length;
-        game.currentPlayer = currentPlayer;
-        
-        score += (aiMoves - playerMoves) * 5;
+        const aiMoves = GameState.countMoves(state, 'ai');
+        const playerMoves = GameState.countMoves(state, 'player');
+        score += (aiMoves - playerMoves) * weights.mobility;
 
         // Strategic pit control
-        score += this.evaluateStrategicPositions(game);
+        score += this.evaluateStrategicPositions(state);
 
         // Capture opportunities
-        score += this.evaluateCaptureOpportunities(game);
+        score += this.evaluateCaptureOpportunities(state);
 
         return score;
     }
 
     /**
      * Evaluate strategic positions on the board
-     * @param {PallanguzhiGame} game - Game instance
+     * @param {Object} state - GameState state
      * @returns {number} - Strategic position score
      */
-    evaluateStrategicPositions(game) {
+    evaluateStrategicPositions(state) {
+        const { board, config } = state;
+        const weights = this.weights;
         let score = 0;
 
         // Favor having stones in middle pits (more options)
-        score += game.board[10] * 2; // AI middle pit
-        score -= game.board[3] * 2;  // Player middle pit
+        if (config.middlePits) {
+            score += board[config.middlePits.ai] * weights.middlePit;
+            score -= board[config.middlePits.player] * weights.middlePit;
+        }
 
         // Favor having stones in corner pits (capture opportunities)
-        score += game.board[7] + game.board[13];
-        score -= game.board[0] + game.board[6];
+        for (const pit of config.cornerPits.ai) score += board[pit] * weights.cornerPit;
+        for (const pit of config.cornerPits.player) score -= board[pit] * weights.cornerPit;
 
-        // Penalize empty pits (less mobility)
-        for (let i = 7; i <= 13; i++) {
-            if (game.board[i] === 0) score -= 3;
-        }
-        for (let i = 0; i <= 6; i++) {
-            if (game.board[i] === 0) score += 3;
+        // Penalize empty pits (less mobility); blocked pits are out of play
+        for (let i = 0; i < config.pitCount; i++) {
+            if (board[i] === 0 && !config.blocked[i]) {
+                score += i < config.pitsPerRow ? weights.emptyPit : -weights.emptyPit;
+            }
         }
 
         return score;
@@ -200,166 +764,174 @@ class PallanguzhiAI {
 
     /**
      * Evaluate capture opportunities
-     * @param {PallanguzhiGame} game - Game instance
-     * @returns {number} - Capture opportunity score
+     * Only the side to move can take its captures now, so they count for that side.
+     * @param {Object} state - GameState state
+     * @returns {number} - Capture opportunity score (from the AI's perspective)
      */
-    evaluateCaptureOpportunities(game) {
+    evaluateCaptureOpportunities(state) {
         let score = 0;
 
         // Check for immediate capture opportunities
-        const validMoves = game.getValidMoves();
+        const validMoves = GameState.getValidMoves(state);
         for (const move of validMoves) {
-            const simulatedState = game.simulateMove(move);
-            if (simulatedState.moveResult.captured > 0) {
-                score += simulatedState.moveResult.captured * 15;
+            const nextState = GameState.applyMove(state, move);
+            if (nextState.lastCaptured > 0) {
+                score += nextState.lastCaptured * this.weights.capture;
             }
         }
 
-        return score;
+        return state.currentPlayer === 'ai' ? score : -score;
     }
 
     /**
-     * Generate natural language explanation for a move
-     * @param {PallanguzhiGame} game - Game instance
-     * @param {number} move - The chosen move
-     * @returns {string} - Move explanation
+     * Suggest the best move for the side to move (hint mode)
+     * Works for either row, so both people can ask for hints in hot-seat play. Every move
+     * is searched HINT_SEARCH_DEPTH moves deep from the mover's side, replies included,
+     * or solved exactly in small endgames, and the best ones are ranked.
+     * @param {PallanguzhiGame} game - Current game instance
+     * @returns {Object} - { move, explanation, candidates, line } where candidates are the
+     *     top moves as { move, score, margin } for the mover (margin only when solved) and
+     *     line is the expected continuation as { player, move }, starting with the move
      */
-    generateMoveExplanation(game, move) {
-        const simulatedState = game.simulateMove(move);
-        const moveResult = simulatedState.moveResult;
-        const pitNumber = move - 6; // Convert to 1-7 for AI pits
-        
-        let explanation = `AI chose pit ${pitNumber} `;
-
-        // Explain the basic move
-        const stones = game.board[move];
-        explanation += `(${stones} stones). `;
-
-        // Explain captures
-        if (moveResult.captured > 0) {
-            explanation += `This move captures ${moveResult.captured} stones! `;
-            
-            if (this.difficulty === 'hard') {
-                explanation += `The stones landed in an empty opponent pit, allowing capture of adjacent pits. `;
-            }
+    suggestPlayerMove(game) {
+        const state = game.toState();
+        if (GameState.getValidMoves(state).length === 0) {
+            return { move: null, explanation: this.explainer.text.noMoves, candidates: [], line: [] };
         }
+        return this.describeSuggestion(game, this.rankPlayerMoves(state));
+    }
 
-        // Explain bonus turn
-        if (moveResult.bonusTurn) {
-            explanation += `Earned a bonus turn by landing the last stone in own pit with even number. `;
-        }
+    /**
+     * Rank the moves of the side to move for a hint
+     * Needs only the GameState state, so it can run in a Web Worker (see aiWorker.js).
+     * @param {Object} state - GameState state with at least one valid move
+     * @returns {Object} - { candidates, line, solved } as used by describeSuggestion
+     */
+    rankPlayerMoves(state) {
+        const sign = state.currentPlayer === 'ai' ? 1 : -1;
+        const solved = this.endgameSolver.canSolve(state, ENDGAME_SEED_LIMIT);
+        const candidates = (solved ? this.scoreSolvedMoves(state) : this.scoreMoves(state, HINT_SEARCH_DEPTH))
+            .map(entry => ({
+                move: entry.move,
+                score: sign * entry.score,
+                margin: entry.margin === undefined ? null : sign * entry.margin
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, HINT_CANDIDATES);
+
+        const line = this.principalVariation(state, candidates[0].move, LINE_LENGTH, solved);
+        return { candidates: candidates, line: line, solved: solved };
+    }
 
-        // Strategic reasoning based on difficulty
-        if (this.difficulty === 'medium' || this.difficulty === 'hard') {
-            const strategicReason = this.getStrategicReason(game, move, simulatedState);
-            if (strategicReason) {
-                explanation += strategicReason;
-            }
+    /**
+     * Phrase a hint from the ranked moves
+     * @param {PallanguzhiGame} game - Game the hint is for
+     * @param {Object} ranking - { candidates, line, solved } from rankPlayerMoves
+     * @returns {Object} - { move, explanation, candidates, line } as from suggestPlayerMove
+     */
+    describeSuggestion(game, ranking) {
+        const { candidates, line, solved } = ranking;
+        const state = game.toState();
+        const move = candidates[0].move;
+
+        // The ranking already gives the scores, so the explainer only reads the line
+        const text = this.explainer.text;
+        let explanation = text.suggest(game.getPitNumber(move)) +
+            this.explainer.explain(state, move, { line: line }) + this.describeRanking(game, candidates);
+        if (solved) {
+            explanation += text.solvedHint(candidates[0].margin);
         }
+        explanation += this.describeLine(game, line);
 
-        return explanation;
+        return { move: move, explanation: explanation, candidates: candidates, line: line };
     }
 
     /**
-     * Get strategic reasoning for a move
-     * @param {PallanguzhiGame} game - Original game state
-     * @param {number} move - The chosen move
-     * @param {Object} simulatedState - State after the move
-     * @returns {string} - Strategic reasoning
+     * Score every move of a small endgame exactly
+     * @param {Object} state - GameState state the solver can solve
+     * @returns {Array<Object>} - { move, score, margin } for every valid move, from the AI's
+     *     perspective, with margin the final store difference under perfect play
      */
-    getStrategicReason(game, move, simulatedState) {
-        const scoreDiff = simulatedState.aiScore - simulatedState.playerScore;
-        const originalScoreDiff = game.aiScore - game.playerScore;
-        
-        if (scoreDiff > originalScoreDiff + 5) {
-            return "This move significantly improves AI's position. ";
-        }
-        
-        if (move === 10) { // Middle pit
-            return "Playing from the middle pit provides maximum distribution options. ";
-        }
-        
-        if (move === 7 || move === 13) { // Corner pits
-            return "Corner pit moves can create capture opportunities. ";
-        }
-        
-        const aiStones = simulatedState.board.slice(7, 14).reduce((sum, s) => sum + s, 0);
-        const playerStones = simulatedState.board.slice(0, 7).reduce((sum, s) => sum + s, 0);
-        
-        if (aiStones > playerStones + 10) {
-            return "This maintains AI's stone advantage on the board. ";
-        }
-        
-        return "This move maintains good strategic position. ";
+    scoreSolvedMoves(state) {
+        this.endgameSolver.solve(state);
+
+        return GameState.getValidMoves(state).map(move => {
+            const next = GameState.applyMove(state, move);
+            const margin = next.aiScore - next.playerScore + (next.gameOver ? 0 : this.endgameSolver.lookup(next));
+            return { move: move, score: this.scoreSolvedMargin(margin), margin: margin };
+        });
     }
 
     /**
-     * Suggest the best move for the human player (hint mode)
-     * @param {PallanguzhiGame} game - Current game instance
-     * @returns {Object} - Best move suggestion with explanation
+     * Follow the expected continuation of a move
+     * After scoreMoves the line is read from the transposition table's best moves; in a
+     * solved endgame each side keeps the solved value. The line stops at the end of the
+     * game or where the table has no move.
+     * @param {Object} state - Position the move is played in
+     * @param {number} move - First move of the line
+     * @param {number} length - Most moves in the line
+     * @param {boolean} solved - Whether the endgame solver has solved the position
+     * @returns {Array<Object>} - { player, move } for each move, starting with the given one
      */
-    suggestPlayerMove(game) {
-        if (game.currentPlayer !== 'player') {
-            return { move: null, explanation: 'It is not the player\'s turn.' };
+    principalVariation(state, move, length, solved = false) {
+        const line = [{ player: state.currentPlayer, move: move }];
+        let current = GameState.applyMove(state, move);
+
+        while (line.length < length && !current.gameOver) {
+            let next = null;
+            if (solved) {
+                next = this.endgameSolver.chooseMove(current).move;
+            } else if (this.transpositionTable) {
+                const entry = this.transpositionTable.probe(this.hasher.hash(current));
+                if (entry && GameState.getValidMoves(current).includes(entry.move)) {
+                    next = entry.move;
+                }
+            }
+            if (next === null) break;
+
+            line.push({ player: current.currentPlayer, move: next });
+            current = GameState.applyMove(current, next);
         }
 
-        // Temporarily switch to player perspective for evaluation
-        const originalCurrentPlayer = game.currentPlayer;
-        
-        // Use a simplified minimax for player hints
-        const validMoves = game.getValidMoves();
-        let bestMove = null;
-        let bestScore = -Infinity;
-        
-        for (const move of validMoves) {
-            const simulatedState = game.simulateMove(move);
-            
-            // Evaluate from player's perspective (negative of AI evaluation)
-            const tempGame = new PallanguzhiGame();
-            Object.assign(tempGame, simulatedState);
-            const score = -this.evaluatePosition(tempGame);
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = move;
+        return line;
+    }
+
+    /**
+     * Describe the top moves of a hint with their scores for the mover
+     * @param {PallanguzhiGame} game - Game the hint is for
+     * @param {Array<Object>} candidates - { move, score, margin } from suggestPlayerMove
+     * @returns {string} - e.g. "Top moves: pit 3 (+4.5 seeds), pit 5 (+2.0), pit 1 (-1.0). "
+     */
+    describeRanking(game, candidates) {
+        const text = this.explainer.text;
+        const entries = candidates.map((candidate, i) => {
+            let score;
+            if (candidate.margin !== null) {
+                score = candidate.margin > 0 ? text.winsBy(candidate.margin) :
+                    candidate.margin < 0 ? text.losesBy(-candidate.margin) : text.draws;
+            } else if (Math.abs(candidate.score) >= 1000) {
+                score = candidate.score > 0 ? text.wins : text.loses;
+            } else {
+                const seeds = candidate.score / this.weights.score;
+                score = text.points(`${seeds >= 0 ? '+' : ''}${seeds.toFixed(1)}`, i === 0);
             }
-        }
-        
-        game.currentPlayer = originalCurrentPlayer;
-        
-        const explanation = this.generatePlayerHint(game, bestMove);
-        
-        return { move: bestMove, explanation: explanation };
+            return { pit: game.getPitNumber(candidate.move), score: score };
+        });
+        return text.ranking(entries);
     }
 
     /**
-     * Generate hint explanation for player
-     * @param {PallanguzhiGame} game - Game instance
-     * @param {number} move - Suggested move
-     * @returns {string} - Hint explanation
+     * Describe the expected continuation of a hint
+     * @param {PallanguzhiGame} game - Game the hint is for
+     * @param {Array<Object>} line - { player, move } from principalVariation
+     * @returns {string} - e.g. "Expected continuation: you pit 3, opponent pit 5, you pit 2. "
      */
-    generatePlayerHint(game, move) {
-        if (move === null) return 'No valid moves available.';
-        
-        const simulatedState = game.simulateMove(move);
-        const moveResult = simulatedState.moveResult;
-        const pitNumber = move + 1; // Convert to 1-7 for player pits
-        
-        let hint = `Consider playing pit ${pitNumber}. `;
-        
-        if (moveResult.captured > 0) {
-            hint += `This move will capture ${moveResult.captured} stones! `;
-        }
-        
-        if (moveResult.bonusTurn) {
-            hint += `You'll get a bonus turn. `;
-        }
-        
-        if (moveResult.captured === 0 && !moveResult.bonusTurn) {
-            hint += `This move maintains good board position and mobility. `;
-        }
-        
-        return hint;
+    describeLine(game, line) {
+        if (line.length < 2) return '';
+
+        const mover = line[0].player;
+        return this.explainer.text.line(line.map(step =>
+            ({ own: step.player === mover, pit: game.getPitNumber(step.move) })));
     }
 
     /**
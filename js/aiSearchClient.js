@@ -0,0 +1,226 @@
+/**
+ * AI Search Client for Pallanguzhi
+ * Runs the AI's searches (its moves, hints and the game analysis's move scores) in a
+ * Web Worker (aiWorker.js) so the page stays responsive, and lets a search be cancelled
+ * when the game it was started for goes away.
+ * Where workers are unavailable (for example a page opened straight from disk) the
+ * search falls back to the main thread.
+ */
+
+const AI_WORKER_URL = 'js/aiWorker.js';
+
+class AISearchClient {
+    /**
+     * @param {PallanguzhiAI} ai - AI whose difficulty and explanations are used
+     * @param {string} workerUrl - Location of the worker script
+     */
+    constructor(ai, workerUrl = AI_WORKER_URL) {
+        this.ai = ai;
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workersUnavailable = typeof Worker === 'undefined';
+        this.pending = null; // { id, request, onProgress, resolve } for the search in progress
+        this.nextId = 1;
+    }
+
+    /**
+     * Choose the AI's move without blocking the page
+     * @param {PallanguzhiGame} game - Current game instance
+     * @param {Function} onProgress - Called with { depth, nodes, time, move, score } after each search depth
+     * @returns {Promise<Object>} - { move, explanation, search }, or { cancelled: true } if cancelled
+     */
+    async chooseMove(game, onProgress = null) {
+        // Nothing to search with one move or none
+        if (game.getValidMoves().length <= 1) {
+            return { ...this.ai.chooseBestMove(game), search: null };
+        }
+
+        // Book moves need no search
+        const bookMove = this.ai.consultOpeningBook(game.toState());
+        if (bookMove) {
+            return { ...this.ai.describeChoice(game, bookMove.move, bookMove), search: bookMove };
+        }
+
+        const result = await this.search(game.toState(), onProgress);
+        if (result.cancelled) {
+            return result;
+        }
+        return { ...this.ai.describeChoice(game, result.move, result), search: result };
+    }
+
+    /**
+     * Suggest a move for the side to move without blocking the page, as a hint
+     * @param {PallanguzhiGame} game - Current game instance
+     * @returns {Promise<Object>} - { move, explanation, candidates, line } as from
+     *     suggestPlayerMove, or { cancelled: true } if cancelled
+     */
+    async suggestMove(game) {
+        if (game.getValidMoves().length === 0) {
+            return this.ai.suggestPlayerMove(game);
+        }
+
+        const ranking = await this.run({ task: 'hint', state: game.toState() });
+        if (ranking.cancelled) {
+            return ranking;
+        }
+        return this.ai.describeSuggestion(game, ranking);
+    }
+
+    /**
+     * Search a position, cancelling any search still running
+     * @param {Object} state - GameState state with the AI to move
+     * @param {Function} onProgress - Called after each completed search depth
+     * @returns {Promise<Object>} - { move, score, depth, nodes, time }, or { cancelled: true } if cancelled
+     */
+    search(state, onProgress = null) {
+        return this.run({ task: 'search', state: state }, onProgress);
+    }
+
+    /**
+     * Score every move of a position to a fixed depth, cancelling any search still running
+     * @param {Object} state - GameState state, not over
+     * @param {number} depth - Moves to search, the move itself included
+     * @returns {Promise<Object>} - { scores } as from scoreMoves, or { cancelled: true } if cancelled
+     */
+    scoreMoves(state, depth) {
+        return this.run({ task: 'score', state: state, depth: depth });
+    }
+
+    /**
+     * Start a search task, cancelling any search still running
+     * @param {Object} request - { task, state, ... } as PallanguzhiAI.runTask takes it
+     * @param {Function} onProgress - Called after each completed search depth
+     * @returns {Promise<Object>} - Result of the task, or { cancelled: true } if cancelled
+     */
+    run(request, onProgress = null) {
+        this.cancel();
+
+        const id = this.nextId++;
+        return new Promise(resolve => {
+            this.pending = { id: id, request: request, onProgress: onProgress, resolve: resolve };
+
+            if (this.startWorker()) {
+                this.worker.postMessage({ ...request, id: id, limits: this.ai.searchLimits, weights: this.ai.weights });
+            } else {
+                this.runOnMainThread(id, request);
+            }
+        });
+    }
+
+    /**
+     * Cancel the search in progress; its promise resolves with { cancelled: true }
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        // A busy worker cannot be interrupted, so it is replaced
+        this.stopWorker();
+        this.settle({ cancelled: true });
+    }
+
+    /**
+     * Check if a search is running
+     * @returns {boolean}
+     */
+    isSearching() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Create the worker if needed
+     * @returns {boolean} - Whether a worker is available
+     */
+    startWorker() {
+        if (this.worker) return true;
+        if (this.workersUnavailable) return false;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            // Browsers refuse workers on file:// pages
+            this.workersUnavailable = true;
+            return false;
+        }
+
+        this.worker.onmessage = (e) => this.handleReply(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.handleWorkerFailure();
+        };
+        return true;
+    }
+
+    /**
+     * Terminate the worker
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} reply - { id, progress }, { id, result } or { id, error }
+     */
+    handleReply(reply) {
+        if (!this.pending || reply.id !== this.pending.id) return;
+
+        if (reply.error) {
+            this.handleWorkerFailure();
+        } else if (reply.progress) {
+            this.reportProgress(reply.progress);
+        } else {
+            if (this.pending.request.task === 'search') {
+                this.ai.lastSearch = reply.result;
+            }
+            this.settle(reply.result);
+        }
+    }
+
+    /**
+     * Pass a finished search depth on to the caller
+     * @param {Object} progress - Search report from searchBestMove
+     */
+    reportProgress(progress) {
+        if (this.pending.onProgress) {
+            this.pending.onProgress(progress);
+        }
+    }
+
+    /**
+     * Give up on workers (the script failed to load or crashed) and finish on the main thread
+     */
+    handleWorkerFailure() {
+        this.workersUnavailable = true;
+        this.stopWorker();
+
+        if (this.pending) {
+            this.runOnMainThread(this.pending.id, this.pending.request);
+        }
+    }
+
+    /**
+     * Run a search task on the main thread
+     * @param {number} id - Search id, so a cancelled search does not report
+     * @param {Object} request - { task, state, ... } as PallanguzhiAI.runTask takes it
+     */
+    runOnMainThread(id, request) {
+        // Yield first so the thinking indicator is drawn before the page blocks
+        setTimeout(() => {
+            if (!this.pending || this.pending.id !== id) return;
+            this.settle(this.ai.runTask(request, progress => this.reportProgress(progress)));
+        }, 0);
+    }
+
+    /**
+     * Resolve the search in progress
+     * @param {Object} result - Search result
+     */
+    settle(result) {
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve(result);
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * AI Search Worker for Pallanguzhi
+ * Runs the AI's searches off the main thread so the page stays responsive
+ *
+ * Request:  { id, task, limits, weights, state, depth }   (task 'search' for the best move,
+ *           'score' to score every move to depth or 'hint' to rank the mover's moves; limits
+ *           as in AI_DIFFICULTIES, weights as in DEFAULT_EVALUATION_WEIGHTS, state a GameState state)
+ * Replies:  { id, progress } after each completed search depth, then { id, result } or { id, error }
+ */
+
+importScripts('gameState.js', 'transpositionTable.js', 'endgameSolver.js', 'mctsEngine.js', 'openingBook.js', 'moveExplainer.js',
+    'aiPlayer.js');
+
+const workerAI = new PallanguzhiAI();
+
+self.onmessage = function(e) {
+    const { id, limits, weights } = e.data;
+
+    try {
+        workerAI.setDifficulty(limits);
+        workerAI.setWeights(weights);
+        const result = workerAI.runTask(e.data, progress => self.postMessage({ id: id, progress: progress }));
+        self.postMessage({ id: id, result: result });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+};
@@ -0,0 +1,220 @@
+/**
+ * Analysis Panel for Pallanguzhi
+ * Runs GameAnalyzer over a finished game, searching in a worker, and shows each side's
+ * accuracy, an evaluation-over-time graph and every move's label. Clicking a move opens
+ * the replay at the position where it was played.
+ */
+
+const MOVE_LABEL_NAMES = {
+    best: 'சிறந்தது (Best)',
+    good: 'நல்லது (Good)',
+    inaccuracy: 'துல்லியக்குறைவு (Inaccuracy)',
+    mistake: 'தவறு (Mistake)',
+    blunder: 'பெருந்தவறு (Blunder)'
+};
+
+const ANALYSIS_GRAPH_LIMIT = 20; // Seeds of advantage at the top and bottom of the graph
+
+class AnalysisPanel {
+    /**
+     * @param {PallanguzhiUI} ui - UI whose game is analyzed
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.game = ui.game;
+        this.run = 0; // Bumped to cancel the analysis in progress
+        this.result = null;
+        this.engine = new PallanguzhiAI({ maxDepth: ANALYSIS_DEPTH, endgameSeeds: 0 });
+        this.search = new AISearchClient(this.engine); // Own worker, apart from the AI's moves
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        this.panelEl = document.getElementById('analysis-panel');
+        this.statusEl = document.getElementById('analysis-status');
+        this.accuracyEl = document.getElementById('analysis-accuracy');
+        this.graphEl = document.getElementById('analysis-graph');
+        this.movesEl = document.getElementById('analysis-moves');
+        this.closeBtn = document.getElementById('analysis-close');
+    }
+
+    /**
+     * Attach event listeners to the panel
+     */
+    attachEventListeners() {
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.movesEl.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-move-index]');
+            if (item) this.showMove(parseInt(item.dataset.moveIndex));
+        });
+    }
+
+    /**
+     * Analyze the finished game on the board
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.game.moveHistory.length === 0) return;
+
+        const run = ++this.run;
+        this.result = null;
+        this.accuracyEl.innerHTML = '';
+        this.graphEl.innerHTML = '';
+        this.movesEl.innerHTML = '';
+        this.panelEl.classList.remove('hidden');
+
+        const analyzer = new GameAnalyzer(ANALYSIS_DEPTH, this.ui.ai.weights);
+        this.engine.setWeights(this.ui.ai.weights);
+        const result = await analyzer.analyze(this.game,
+            (done, total) => {
+                this.statusEl.textContent = `பகுப்பாய்வு (Analyzing)… move ${done} / ${total}`;
+            },
+            () => run !== this.run,
+            async (state, depth) => {
+                const scored = await this.search.scoreMoves(state, depth);
+                return scored.cancelled ? null : scored.scores;
+            });
+        if (!result) return;
+
+        this.result = result;
+        this.statusEl.textContent = `Every position searched ${ANALYSIS_DEPTH} moves ahead.`;
+        this.renderAccuracy(result);
+        this.renderGraph(result);
+        this.renderMoves(result);
+    }
+
+    /**
+     * Stop any analysis in progress and hide the panel
+     */
+    close() {
+        this.run++;
+        this.search.cancel();
+        this.result = null;
+        this.panelEl.classList.add('hidden');
+    }
+
+    /**
+     * Show each side's accuracy and label counts
+     * @param {Object} result - Summary from GameAnalyzer
+     */
+    renderAccuracy(result) {
+        this.accuracyEl.innerHTML = '<h4>துல்லியம் (Accuracy)</h4>';
+
+        // Side names can come from the hot-seat name fields, so they go in as text
+        for (const side of ['player', 'ai']) {
+            const accuracy = result.accuracy[side];
+            const counts = result.counts[side];
+            const issues = [['blunder', 'blunders'], ['mistake', 'mistakes'], ['inaccuracy', 'inaccuracies']]
+                .filter(([label]) => counts[label] > 0)
+                .map(([label, plural]) => `${counts[label]} ${counts[label] === 1 ? label : plural}`);
+
+            const row = document.createElement('div');
+            row.className = 'analysis-side';
+            const name = document.createElement('strong');
+            name.textContent = this.ui.getSideName(side);
+            const value = document.createElement('span');
+            value.className = 'analysis-accuracy-value';
+            value.textContent = accuracy === null ? '—' : `${accuracy}%`;
+            const summary = document.createElement('span');
+            summary.textContent = issues.length > 0 ? issues.join(', ') : 'no errors';
+
+            row.append(name, value, summary);
+            this.accuracyEl.appendChild(row);
+        }
+    }
+
+    /**
+     * Draw the evaluation after every move, from South's point of view
+     * Above the middle line South (the bottom row) is ahead. Mistakes and blunders are marked.
+     * @param {Object} result - Summary from GameAnalyzer
+     */
+    renderGraph(result) {
+        const width = 400;
+        const height = 120;
+        const steps = Math.max(1, result.evaluations.length - 1);
+        const x = (index) => (index / steps * width).toFixed(1);
+        const y = (seeds) => {
+            const clipped = Math.max(-ANALYSIS_GRAPH_LIMIT, Math.min(ANALYSIS_GRAPH_LIMIT, -seeds));
+            return (height / 2 - clipped / ANALYSIS_GRAPH_LIMIT * (height / 2 - 4)).toFixed(1);
+        };
+
+        const points = result.evaluations.map((seeds, index) => `${x(index)},${y(seeds)}`).join(' ');
+        const markers = result.moves
+            .filter(move => move.label === 'mistake' || move.label === 'blunder')
+            .map(move => `<circle class="marker-${move.label}" cx="${x(move.index + 1)}" ` +
+                `cy="${y(result.evaluations[move.index + 1])}" r="3"><title>Move ${move.index + 1}: ` +
+                `${move.label}</title></circle>`);
+
+        this.graphEl.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.graphEl.innerHTML = `
+            <line class="graph-axis" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"></line>
+            <polyline class="graph-line" points="${points}"></polyline>
+            ${markers.join('')}
+        `;
+    }
+
+    /**
+     * List every move with its label and what would have been stronger
+     * @param {Object} result - Summary from GameAnalyzer
+     */
+    renderMoves(result) {
+        this.movesEl.innerHTML = '';
+        for (const move of result.moves) {
+            const item = document.createElement('li');
+            item.className = `analysis-move label-${move.label}`;
+            item.dataset.moveIndex = move.index;
+            item.textContent = this.describeMove(move);
+            this.movesEl.appendChild(item);
+        }
+    }
+
+    /**
+     * Describe an analyzed move
+     * @param {Object} move - Result of GameAnalyzer.analyzeMove
+     * @returns {string} - e.g. "You: pit 3 — தவறு (Mistake), 4.5 seeds lost. Pit 5 was stronger."
+     */
+    describeMove(move) {
+        const pit = (index) => this.game.getPitNumber(index);
+        let text = `${this.ui.getSideName(move.player)}: pit ${pit(move.move)} — `;
+
+        if (move.forced) {
+            return text + 'only move';
+        }
+
+        text += MOVE_LABEL_NAMES[move.label];
+        if (move.label === 'best' || move.label === 'good') {
+            return text;
+        }
+
+        // A swing between a won and a lost game is not a number of seeds
+        const decisive = Math.abs(move.bestScore) >= 1000 || Math.abs(move.playedScore) >= 1000;
+        text += decisive ? ', changing the result of the game.' :
+            `, ${(move.loss / this.ui.ai.weights.score).toFixed(1)} seeds lost.`;
+        text += ` Pit ${pit(move.bestMove)} was stronger.`;
+        if (move.missedCapture) {
+            text += ` Missed a capture of ${move.missedCapture.seeds} with pit ${pit(move.missedCapture.move)}.`;
+        }
+        if (move.missedBonus) {
+            text += ` Missed a bonus turn with pit ${pit(move.missedBonus.move)}.`;
+        }
+        return text;
+    }
+
+    /**
+     * Open the replay at the position where a move was played
+     * @param {number} index - Move number, from 0
+     */
+    showMove(index) {
+        if (!this.ui.replay.active) {
+            this.ui.openReplay();
+        }
+        if (this.ui.replay.active) {
+            this.ui.replay.seek(index);
+        }
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * Endgame Solver for Pallanguzhi
+ * Computes the exact final margin of positions with few seeds left on the board, so the
+ * AI plays solvable endgames perfectly instead of trusting the heuristic evaluation
+ *
+ * Uses retrograde analysis. Seeds only ever leave the board, so positions are grouped in
+ * layers by the seeds on the board and each layer is solved once the layers below it are.
+ * A move either keeps the seed count (and stays in the layer) or captures and moves to a
+ * lower layer, whose value is already known. Within a layer, a line that never captures
+ * again can go round forever; such a line is scored as no more seeds changing hands.
+ *
+ * The value of a position is the seeds the AI will still gain minus the seeds the player
+ * will still gain with perfect play from both sides. It depends only on the board and the
+ * side to move (the stores never affect the rules), so the final margin is the current
+ * store difference plus that value.
+ */
+
+const ENDGAME_SEED_LIMIT = 6; // Default: solve positions with this many seeds or fewer on the board
+const ENDGAME_POSITION_BUDGET = 250000; // Most positions the solver will tabulate for one board
+
+class EndgameSolver {
+    /**
+     * @param {number} positionBudget - Most positions to tabulate before giving up
+     */
+    constructor(positionBudget = ENDGAME_POSITION_BUDGET) {
+        this.positionBudget = positionBudget;
+        this.configId = null;
+        this.layers = []; // Solved layers by seed count: { index: Map, value, distance }
+    }
+
+    /**
+     * Check if a position can be solved
+     * @param {Object} state - GameState state
+     * @param {number} seedLimit - Most seeds on the board to solve
+     * @returns {boolean}
+     */
+    canSolve(state, seedLimit) {
+        if (state.gameOver) return false;
+
+        const seeds = EndgameSolver.countSeeds(state);
+        return seeds <= seedLimit && EndgameSolver.countPositions(state.config, seeds) <= this.positionBudget;
+    }
+
+    /**
+     * Solve a position, building the tables for its seed count first if needed
+     * @param {Object} state - GameState state that canSolve accepts
+     * @returns {Object} - { move, margin, positions }: the best move, the final margin
+     *     (AI store minus player store) with perfect play, and the positions tabulated
+     */
+    solve(state) {
+        const configId = TranspositionTable.configId(state.config);
+        if (configId !== this.configId) {
+            this.layers = [];
+            this.configId = configId;
+        }
+
+        const seeds = EndgameSolver.countSeeds(state);
+        for (let layerSeeds = this.layers.length; layerSeeds <= seeds; layerSeeds++) {
+            this.layers.push(this.solveLayer(state.config, layerSeeds));
+        }
+
+        const choice = this.chooseMove(state);
+        return {
+            move: choice.move,
+            margin: state.aiScore - state.playerScore + choice.value,
+            positions: this.layers.reduce((sum, layer) => sum + layer.value.length, 0)
+        };
+    }
+
+    /**
+     * Look up the value of a solved position
+     * @param {Object} state - GameState state, not over, in a solved layer
+     * @returns {number} - Seeds the AI will still gain minus seeds the player will still gain
+     */
+    lookup(state) {
+        const layer = this.layers[EndgameSolver.countSeeds(state)];
+        return layer.value[layer.index.get(EndgameSolver.positionKey(state))];
+    }
+
+    /**
+     * Pick the move that keeps the solved value
+     * Among equally good moves, one that captures now or gets closer to the capture that
+     * decides the game is preferred, so a won position is converted rather than circled.
+     * @param {Object} state - GameState state in a solved layer
+     * @returns {Object} - { move, value }
+     */
+    chooseMove(state) {
+        const maximizing = state.currentPlayer === 'ai';
+        const seeds = EndgameSolver.countSeeds(state);
+        const layer = this.layers[seeds];
+        let best = null;
+
+        for (const move of GameState.getValidMoves(state)) {
+            const next = GameState.applyMove(state, move);
+            const value = EndgameSolver.gain(state, next) + (next.gameOver ? 0 : this.lookup(next));
+            const distance = EndgameSolver.countSeeds(next) < seeds ?
+                0 : layer.distance[layer.index.get(EndgameSolver.positionKey(next))];
+
+            const better = !best ||
+                (maximizing ? value > best.value : value < best.value) ||
+                (value === best.value && distance < best.distance);
+            if (better) {
+                best = { move: move, value: value, distance: distance };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Solve every position with a given number of seeds on the board
+     * For each threshold t the layer is split into positions where the AI can make sure
+     * of a value of at least t and the rest, by working back from the captures that
+     * decide it (an attractor computation). A position's value is the highest threshold
+     * the AI can reach. The number of steps each position needs to force its result is
+     * kept as its distance, for chooseMove.
+     * @param {Object} config - GameState configuration
+     * @param {number} seeds - Seeds on the board
+     * @returns {Object} - { index, value, distance }
+     */
+    solveLayer(config, seeds) {
+        const positions = EndgameSolver.enumeratePositions(config, seeds);
+        const count = positions.length;
+        const index = new Map();
+        positions.forEach((state, i) => index.set(EndgameSolver.positionKey(state), i));
+
+        // Moves of every position: a successor in this layer, or a capture whose value is known
+        const moveStart = new Int32Array(count + 1);
+        const targets = []; // Successor index, or -1 when the move leaves the layer
+        const exitValues = []; // Value of a move that leaves the layer
+        const predecessors = Array.from({ length: count }, () => []);
+
+        positions.forEach((state, i) => {
+            moveStart[i] = targets.length;
+            for (const move of GameState.getValidMoves(state)) {
+                const next = GameState.applyMove(state, move);
+                if (!next.gameOver && EndgameSolver.countSeeds(next) === seeds) {
+                    const target = index.get(EndgameSolver.positionKey(next));
+                    targets.push(target);
+                    exitValues.push(0);
+                    predecessors[target].push(i);
+                } else {
+                    targets.push(-1);
+                    exitValues.push(EndgameSolver.gain(state, next) + (next.gameOver ? 0 : this.lookup(next)));
+                }
+            }
+        });
+        moveStart[count] = targets.length;
+
+        const value = new Int16Array(count).fill(-seeds);
+        const distance = new Int32Array(count).fill(-1);
+        const queue = new Int32Array(count);
+        const remaining = new Int32Array(count);
+        const won = new Uint8Array(count);
+
+        for (let threshold = -seeds + 1; threshold <= seeds; threshold++) {
+            // Above zero the AI must force a capture worth the threshold; at or below zero
+            // endless play is good enough, so it is the player who must force a capture
+            const aiForces = threshold > 0;
+            const forcer = aiForces ? 'ai' : 'player';
+            const reached = aiForces ?
+                (exitValue) => exitValue >= threshold :
+                (exitValue) => exitValue < threshold;
+
+            let head = 0;
+            let tail = 0;
+            won.fill(0);
+
+            for (let i = 0; i < count; i++) {
+                const forcing = positions[i].currentPlayer === forcer;
+                let inLayer = 0;
+                let exitReached = false;
+                let exitMissed = false;
+
+                for (let m = moveStart[i]; m < moveStart[i + 1]; m++) {
+                    if (targets[m] >= 0) {
+                        inLayer++;
+                    } else if (reached(exitValues[m])) {
+                        exitReached = true;
+                    } else {
+                        exitMissed = true;
+                    }
+                }
+
+                if (forcing ? exitReached : !exitMissed && inLayer === 0) {
+                    won[i] = 1;
+                    queue[tail++] = i;
+                }
+                // The defender escapes for good through a capture that misses the target
+                remaining[i] = forcing ? 1 : (exitMissed ? 0x7FFFFFFF : inLayer);
+            }
+
+            // Work back: a position is forced once its mover (the forcer) has one move,
+            // or its defender has nothing but moves, into forced positions
+            const steps = new Int32Array(count);
+            while (head < tail) {
+                const i = queue[head++];
+                for (const p of predecessors[i]) {
+                    if (won[p]) continue;
+                    if (--remaining[p] <= 0) {
+                        won[p] = 1;
+                        steps[p] = steps[i] + 1;
+                        queue[tail++] = p;
+                    }
+                }
+            }
+
+            for (let i = 0; i < count; i++) {
+                if (aiForces && won[i]) {
+                    value[i] = threshold;
+                    distance[i] = steps[i];
+                } else if (!aiForces && !won[i]) {
+                    value[i] = threshold;
+                } else if (!aiForces && distance[i] < 0) {
+                    // First threshold the AI misses: the player forces a value below it
+                    distance[i] = steps[i];
+                }
+            }
+        }
+
+        return { index: index, value: value, distance: distance };
+    }
+
+    /**
+     * Seeds the AI gained minus seeds the player gained in one move
+     * @param {Object} state - State before the move
+     * @param {Object} next - State after the move
+     * @returns {number}
+     */
+    static gain(state, next) {
+        return (next.aiScore - state.aiScore) - (next.playerScore - state.playerScore);
+    }
+
+    /**
+     * Count the seeds on the board
+     * @param {Object} state - GameState state
+     * @returns {number}
+     */
+    static countSeeds(state) {
+        return GameState.getRowStones(state, 'player') + GameState.getRowStones(state, 'ai');
+    }
+
+    /**
+     * Count the positions tabulated to solve a given seed count (an upper bound)
+     * @param {Object} config - GameState configuration
+     * @param {number} seeds - Seeds on the board
+     * @returns {number}
+     */
+    static countPositions(config, seeds) {
+        const pits = config.pitCount - config.blockedPits.length;
+        let total = 0;
+        let layerSize = 1; // Ways to spread k seeds over the pits: C(k + pits - 1, k)
+        for (let k = 1; k <= seeds; k++) {
+            layerSize = layerSize * (k + pits - 1) / k;
+            total += 2 * layerSize; // Either side to move
+        }
+        return total;
+    }
+
+    /**
+     * List every playable position with a given number of seeds on the board
+     * Both rows must hold seeds; otherwise the game would already be over.
+     * @param {Object} config - GameState configuration
+     * @param {number} seeds - Seeds on the board
+     * @returns {Array<Object>} - GameState states, with empty stores
+     */
+    static enumeratePositions(config, seeds) {
+        const pits = [];
+        for (let pit = 0; pit < config.pitCount; pit++) {
+            if (!config.blocked[pit]) pits.push(pit);
+        }
+
+        const positions = [];
+        const board = new Int16Array(config.pitCount);
+        const place = (i, left) => {
+            if (i === pits.length - 1) {
+                board[pits[i]] = left;
+                const state = GameState.create(config, board.slice());
+                if (GameState.getRowStones(state, 'player') > 0 && GameState.getRowStones(state, 'ai') > 0) {
+                    positions.push(state, GameState.create(config, board.slice(), 0, 0, 'ai'));
+                }
+                return;
+            }
+            for (let n = left; n >= 0; n--) {
+                board[pits[i]] = n;
+                place(i + 1, left - n);
+            }
+        };
+        place(0, seeds);
+
+        return positions;
+    }
+
+    /**
+     * Key of a position within its layer: the board and the side to move
+     * @param {Object} state - GameState state
+     * @returns {string}
+     */
+    static positionKey(state) {
+        return `${state.board.join(',')}${state.currentPlayer === 'ai' ? 'n' : 's'}`;
+    }
+}
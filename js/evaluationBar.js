@@ -0,0 +1,186 @@
+/**
+ * Evaluation Bar for Pallanguzhi
+ * Shows beside the score board who is ahead beyond the seeds in store: the AI's search
+ * scores the position after every move, in a worker and within a time budget, the score is
+ * turned into an estimated chance of winning, and a sparkline follows that chance through
+ * the game
+ */
+
+const EVALUATION_SPARKLINE_WIDTH = 120;
+const EVALUATION_SPARKLINE_HEIGHT = 30;
+
+class EvaluationBar {
+    /**
+     * @param {PallanguzhiUI} ui - UI whose game is evaluated
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.game = ui.game;
+        this.enabled = false;
+        // Own engine and worker, so the playing AI's searches and transposition table are left alone
+        this.engine = new PallanguzhiAI({
+            maxDepth: EVALUATION_DEPTH,
+            timeBudget: EVALUATION_TIME_BUDGET,
+            endgameSeeds: ENDGAME_SEED_LIMIT
+        });
+        this.search = new AISearchClient(this.engine);
+        this.history = []; // South's chance of winning after each number of moves
+        this.timer = null;
+        this.evaluated = null; // { key, evaluation } of the position last evaluated
+        this.searchingKey = null; // Key of the position being searched
+
+        this.initializeElements();
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        this.panelEl = document.getElementById('evaluation-panel');
+        this.fillEl = document.getElementById('evaluation-fill');
+        this.readoutEl = document.getElementById('evaluation-readout');
+        this.sparklineEl = document.getElementById('evaluation-sparkline');
+    }
+
+    /**
+     * Show or hide the bar
+     * @param {boolean} enabled - Whether the position is evaluated after every move
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panelEl.classList.toggle('hidden', !enabled);
+        this.update();
+    }
+
+    /**
+     * Forget the evaluations of the previous game
+     */
+    reset() {
+        this.history = [];
+        this.evaluated = null;
+    }
+
+    /**
+     * Evaluate the position on the board once the display has been drawn
+     * A newer update replaces one still waiting, and a new position the one being searched.
+     */
+    update() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.enabled || this.ui.setupMode) {
+            this.search.cancel();
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.evaluate();
+        }, 0);
+    }
+
+    /**
+     * Search the position with the AI's weights and show the result
+     * A position already evaluated (the display redrawn for other reasons, such as a name
+     * being typed) is only described again.
+     * @returns {Promise<void>}
+     */
+    async evaluate() {
+        const state = this.game.toState();
+        const index = this.game.moveHistory.length;
+        const key = `${index} ${this.game.getPosition()}`;
+
+        if (!this.evaluated || this.evaluated.key !== key) {
+            if (this.searchingKey === key) return;
+
+            this.searchingKey = key;
+            const evaluation = await this.searchPosition(state);
+            if (this.searchingKey === key) this.searchingKey = null;
+            if (!evaluation) return;
+            this.evaluated = { key: key, evaluation: evaluation };
+        }
+        const { evaluation } = this.evaluated;
+        const southChance = 1 - this.engine.winProbability(evaluation.score);
+
+        // After an undo a different move makes the later evaluations stale
+        if (!this.game.canRedo()) {
+            this.history.length = Math.min(this.history.length, index + 1);
+        }
+        this.history[index] = southChance;
+
+        this.fillEl.style.width = `${(southChance * 100).toFixed(1)}%`;
+        this.readoutEl.textContent = this.describe(state, evaluation, southChance);
+        this.panelEl.title = this.readoutEl.textContent;
+        this.renderSparkline(index);
+    }
+
+    /**
+     * Score a position for the bar
+     * Finished games score their final margin; otherwise the search runs in the worker,
+     * where small endgames are solved exactly.
+     * @param {Object} state - GameState state
+     * @returns {Promise<Object|null>} - { score, solved, depth } with score from the AI's
+     *     perspective, or null if a newer update cancelled the search
+     */
+    async searchPosition(state) {
+        if (state.gameOver) {
+            return { score: this.engine.scoreSolvedMargin(state.aiScore - state.playerScore), solved: true, depth: 0 };
+        }
+
+        this.engine.setWeights(this.ui.ai.weights);
+        const report = await this.search.search(state);
+        if (report.cancelled) return null;
+        return { score: report.score, solved: Boolean(report.solved), depth: report.depth };
+    }
+
+    /**
+     * Describe an evaluation for the side ahead, in the language of AI explanations
+     * @param {Object} state - GameState state evaluated
+     * @param {Object} evaluation - Result of searchPosition
+     * @param {number} southChance - South's chance of winning
+     * @returns {string} - e.g. "You: 73% to win, about 4.2 seeds ahead"
+     */
+    describe(state, evaluation, southChance) {
+        const text = this.ui.ai.explainer.text;
+        const leader = southChance >= 0.5 ? 'player' : 'ai';
+        const name = this.ui.getExplainedSideName(leader);
+        const sign = leader === 'ai' ? 1 : -1;
+        const score = sign * evaluation.score;
+
+        if (evaluation.solved) {
+            const margin = score > 0 ? score - 1000 : score < 0 ? score + 1000 : 0;
+            if (state.gameOver) {
+                return margin === 0 ? text.drawnGame : text.wonBy(name, margin);
+            }
+            return `${name}: ${text.perfectPlay(margin)}`;
+        }
+        if (score >= 1000) {
+            return `${name}: ${text.forcedWin(evaluation.depth)}`;
+        }
+
+        const chance = Math.min(99, Math.round(Math.max(southChance, 1 - southChance) * 100));
+        const seeds = score / this.engine.weights.score;
+        return seeds < 0.05 ? text.evenPosition : `${name}: ${text.winChance(chance, seeds.toFixed(1))}`;
+    }
+
+    /**
+     * Draw South's chance of winning over the game so far
+     * Above the middle line South (the bottom row) is ahead.
+     * @param {number} index - Moves played in the position on the board
+     */
+    renderSparkline(index) {
+        const width = EVALUATION_SPARKLINE_WIDTH;
+        const height = EVALUATION_SPARKLINE_HEIGHT;
+        const steps = Math.max(1, index);
+        const points = [];
+        for (let k = 0; k <= index; k++) {
+            if (this.history[k] === undefined) continue;
+            points.push(`${(k / steps * width).toFixed(1)},${((1 - this.history[k]) * (height - 2) + 1).toFixed(1)}`);
+        }
+
+        this.sparklineEl.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.sparklineEl.innerHTML = `
+            <line class="sparkline-axis" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"></line>
+            <polyline class="sparkline-line" points="${points.join(' ')}"></polyline>
+        `;
+    }
+}
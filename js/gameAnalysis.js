@@ -0,0 +1,178 @@
+/**
+ * Post-game Analysis for Pallanguzhi
+ * Re-searches every position of a finished game's moveHistory, labels each move by how
+ * much evaluation it gave away compared with the best move, and points out the stronger
+ * alternative and any capture or bonus turn that was missed
+ */
+
+const ANALYSIS_DEPTH = 6; // Moves searched from every position
+
+// Most evaluation a move may give away and keep each label (10 points are one seed)
+const MOVE_LABEL_LIMITS = [
+    { label: 'best', loss: 0 },
+    { label: 'good', loss: 10 },
+    { label: 'inaccuracy', loss: 30 },
+    { label: 'mistake', loss: 80 },
+    { label: 'blunder', loss: Infinity }
+];
+
+// A move's accuracy is 100 * exp(-loss / ACCURACY_SCALE); a side's accuracy is the average
+const ACCURACY_SCALE = 40;
+
+class GameAnalyzer {
+    /**
+     * @param {number} depth - Moves to search from every position
+     * @param {Object} weights - Evaluation weights, as in DEFAULT_EVALUATION_WEIGHTS
+     */
+    constructor(depth = ANALYSIS_DEPTH, weights = DEFAULT_EVALUATION_WEIGHTS) {
+        this.depth = depth;
+        this.ai = new PallanguzhiAI({ maxDepth: depth, endgameSeeds: 0 });
+        this.ai.setWeights(weights);
+    }
+
+    /**
+     * List the position before every move of a game
+     * @param {PallanguzhiGame} game - Game to analyze
+     * @returns {Array<Object>} - { state, entry } with entry the moveHistory entry of the move played
+     */
+    listPositions(game) {
+        const config = game.getConfig();
+        let previous = game.initialState;
+
+        return game.moveHistory.map(entry => {
+            const state = GameState.create(config, previous.boardState,
+                previous.scores.player, previous.scores.ai, previous.nextPlayer);
+            previous = entry;
+            return { state: state, entry: entry };
+        });
+    }
+
+    /**
+     * Analyze a whole game, giving way to the page between positions
+     * @param {PallanguzhiGame} game - Game to analyze; its moves are read once, at the start
+     * @param {Function} onProgress - Called with (moves analyzed, total) after every position
+     * @param {Function} isCancelled - Checked between positions; stops the analysis when true
+     * @param {Function} scoreMoves - Scores a position's moves as (state, depth) => Promise of the
+     *     scores, or of null if cancelled (e.g. in a worker through AISearchClient); searched
+     *     here by default
+     * @returns {Promise<Object|null>} - Summary from summarize, or null if cancelled
+     */
+    async analyze(game, onProgress = null, isCancelled = () => false, scoreMoves = null) {
+        const positions = this.listPositions(game);
+        const last = game.moveHistory[game.moveHistory.length - 1];
+        const moves = [];
+
+        for (let i = 0; i < positions.length; i++) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) return null;
+
+            const { state, entry } = positions[i];
+            const scores = scoreMoves ? await scoreMoves(state, this.depth) : this.ai.scoreMoves(state, this.depth);
+            if (!scores || isCancelled()) return null;
+
+            moves.push(this.analyzeMove(state, entry.move.startPit, i, scores));
+            if (onProgress) onProgress(i + 1, positions.length);
+        }
+
+        return this.summarize(moves, last);
+    }
+
+    /**
+     * Analyze one move
+     * @param {Object} state - GameState state before the move
+     * @param {number} move - Pit played
+     * @param {number} index - Move number, from 0
+     * @param {Array<Object>} scores - Every move's score, as from PallanguzhiAI.scoreMoves at this depth
+     * @returns {Object} - { index, player, move, forced, label, loss, evaluation, bestMove,
+     *     bestScore, playedScore, missedCapture, missedBonus }, scores from the AI's
+     *     perspective, loss in evaluation points for the mover, and missedCapture
+     *     { move, seeds } and missedBonus { move } when a better move offered them
+     */
+    analyzeMove(state, move, index, scores = this.ai.scoreMoves(state, this.depth)) {
+        const player = state.currentPlayer;
+        const sign = player === 'ai' ? 1 : -1;
+        const validMoves = GameState.getValidMoves(state);
+
+        const best = scores.reduce((top, entry) => (sign * entry.score > sign * top.score ? entry : top));
+        const played = scores.find(entry => entry.move === move);
+        const loss = sign * (best.score - played.score);
+        const label = MOVE_LABEL_LIMITS.find(limit => loss <= limit.loss).label;
+
+        const analysis = {
+            index: index,
+            player: player,
+            move: move,
+            forced: validMoves.length === 1,
+            label: label,
+            loss: loss,
+            evaluation: best.score,
+            bestMove: best.move,
+            bestScore: best.score,
+            playedScore: played.score,
+            missedCapture: null,
+            missedBonus: null
+        };
+
+        // Chances only count as missed when the move that offered them was also better
+        if (label !== 'best' && label !== 'good') {
+            const playedResult = GameState.applyMove(state, move);
+            for (const entry of scores) {
+                if (sign * entry.score <= sign * played.score) continue;
+
+                const result = GameState.applyMove(state, entry.move);
+                const captured = result.lastCaptured;
+                if (captured > playedResult.lastCaptured &&
+                    (!analysis.missedCapture || captured > analysis.missedCapture.seeds)) {
+                    analysis.missedCapture = { move: entry.move, seeds: captured };
+                }
+                if (result.bonusTurn && !playedResult.bonusTurn && !result.gameOver &&
+                    (!analysis.missedBonus || entry.move === best.move)) {
+                    analysis.missedBonus = { move: entry.move };
+                }
+            }
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Sum up the analyzed moves
+     * @param {Array<Object>} moves - Results of analyzeMove, in order
+     * @param {Object} last - Last moveHistory entry (for the final scores)
+     * @returns {Object} - { moves, evaluations, accuracy: { player, ai }, counts: { player, ai } }
+     *     where evaluations[k] is the evaluation after k moves in seeds from the AI's
+     *     perspective, and counts tally each side's labels
+     */
+    summarize(moves, last) {
+        const toSeeds = (score) => score / this.ai.weights.score;
+        const evaluations = moves.map(move => toSeeds(move.evaluation));
+        if (last) {
+            evaluations.push(last.gameOver ?
+                last.scores.ai - last.scores.player :
+                evaluations[evaluations.length - 1]);
+        }
+
+        const accuracy = {};
+        const counts = {};
+        for (const side of ['player', 'ai']) {
+            const own = moves.filter(move => move.player === side && !move.forced);
+            accuracy[side] = GameAnalyzer.accuracy(own.map(move => move.loss));
+            counts[side] = Object.fromEntries(MOVE_LABEL_LIMITS.map(limit =>
+                [limit.label, own.filter(move => move.label === limit.label).length]));
+        }
+
+        return { moves: moves, evaluations: evaluations, accuracy: accuracy, counts: counts };
+    }
+
+    /**
+     * Accuracy of a series of moves
+     * @param {Array<number>} losses - Evaluation given away by each move
+     * @returns {number|null} - Percentage from 0 to 100, or null without moves
+     */
+    static accuracy(losses) {
+        if (losses.length === 0) return null;
+
+        const total = losses.reduce((sum, loss) => sum + 100 * Math.exp(-loss / ACCURACY_SCALE), 0);
+        return Math.round(total / losses.length);
+    }
+}
@@ -4,23 +4,57 @@
  */
 
 class PallanguzhiGame {
-    constructor() {
+    /**
+     * @param {Object} options - Game options
+     * @param {string} options.ruleSet - Key of RULE_SETS ('simplified' or 'traditional')
+     * @param {Object} options.boardSpec - Board spec from BOARD_SPECS or createBoardSpec
+     */
+    constructor(options = {}) {
+        this.setRuleSet(options.ruleSet || 'simplified');
+        this.setBoardSpec(options.boardSpec || BOARD_SPECS.seven);
         this.initializeGame();
     }
 
+    /**
+     * Select the board geometry
+     * Takes effect from the next initializeGame call.
+     * @param {Object} spec - Board spec from BOARD_SPECS or createBoardSpec
+     */
+    setBoardSpec(spec) {
+        this.spec = spec;
+        this.pitsPerRow = spec.pitsPerRow;
+        this.pitCount = spec.pitsPerRow * 2;
+    }
+
+    /**
+     * Select the active rule set
+     * @param {string} ruleSet - Key of RULE_SETS
+     */
+    setRuleSet(ruleSet) {
+        if (!RULE_SETS[ruleSet]) {
+            throw new Error(`Unknown rule set: ${ruleSet}`);
+        }
+        this.ruleSet = ruleSet;
+        this.rules = RULE_SETS[ruleSet];
+    }
+
     /**
      * Initialize a new game with starting positions
+     * @param {Object} setup - Optional starting position (match rounds, loaded positions)
+     * @param {Array<number>} setup.board - Starting seeds for every pit
+     * @param {Array<number>} setup.blockedPits - Pits closed for this round; sowing skips them
+     * @param {string} setup.firstPlayer - 'player' or 'ai'
+     * @param {number} setup.playerScore - Player's starting store
+     * @param {number} setup.aiScore - AI's starting store
      */
-    initializeGame() {
-        // 14 pits total: 0-6 for player, 7-13 for AI
-        // Each pit starts with 6 stones except the middle pits (3 and 10) which start with 12
-        this.board = new Array(14).fill(6);
-        this.board[3] = 12;  // Player's middle pit
-        this.board[10] = 12; // AI's middle pit
+    initializeGame(setup = {}) {
+        // Pits 0..n-1 belong to the player, n..2n-1 to the AI, both rows laid out from the spec
+        this.board = setup.board ? [...setup.board] : [...this.spec.layout, ...this.spec.layout];
+        this.blockedPits = setup.blockedPits ? [...setup.blockedPits] : [];
         
-        this.playerScore = 0;
-        this.aiScore = 0;
-        this.currentPlayer = 'player'; // 'player' or 'ai'
+        this.playerScore = setup.playerScore || 0;
+        this.aiScore = setup.aiScore || 0;
+        this.currentPlayer = setup.firstPlayer || 'player'; // 'player' or 'ai'
         this.gameOver = false;
         this.winner = null;
         
@@ -28,6 +62,8 @@ class PallanguzhiGame {
         this.lastMove = null;
         this.capturedStones = 0;
         this.moveHistory = [];
+        this.redoStack = [];
+        this.initialState = this.captureSnapshot();
     }
 
     /**
@@ -39,10 +75,7 @@ class PallanguzhiGame {
         if (this.gameOver) return false;
         
         // Check if it's the correct player's turn and pit
-        if (this.currentPlayer === 'player' && (pitIndex < 0 || pitIndex > 6)) {
-            return false;
-        }
-        if (this.currentPlayer === 'ai' && (pitIndex < 7 || pitIndex > 13)) {
+        if (!Number.isInteger(pitIndex) || !this.isOwnPit(pitIndex)) {
             return false;
         }
         
@@ -60,63 +93,34 @@ class PallanguzhiGame {
             return { success: false, message: 'Invalid move' };
         }
 
-        const stones = this.board[pitIndex];
-        this.board[pitIndex] = 0;
-        
-        let currentPit = pitIndex;
-        let stonesInHand = stones;
         const moveDetails = {
             startPit: pitIndex,
             path: [pitIndex],
+            relays: [],
             captures: [],
             bonusTurn: false
         };
 
-        // Distribute stones counter-clockwise
-        while (stonesInHand > 0) {
-            currentPit = this.getNextPit(currentPit);
-            this.board[currentPit]++;
-            stonesInHand--;
-            moveDetails.path.push(currentPit);
-        }
-
-        // Check for captures and bonus turns
-        const lastPit = currentPit;
-        const captureResult = this.checkCapture(lastPit, moveDetails);
-        
-        // Update scores if captures occurred
-        if (captureResult.captured > 0) {
-            if (this.currentPlayer === 'player') {
-                this.playerScore += captureResult.captured;
-            } else {
-                this.aiScore += captureResult.captured;
-            }
-            moveDetails.captures = captureResult.captures;
-        }
+        const nextState = GameState.applyMove(this.toState(), pitIndex, moveDetails);
+        const mover = this.currentPlayer;
+        this.loadState(nextState);
 
-        // Check for bonus turn (last stone lands in own pit with even number)
-        if (this.isOwnPit(lastPit) && this.board[lastPit] % 2 === 0 && this.board[lastPit] > 0) {
-            moveDetails.bonusTurn = true;
-        } else {
-            // Switch players if no bonus turn
-            this.currentPlayer = this.currentPlayer === 'player' ? 'ai' : 'player';
-        }
-
-        // Record move in history
+        // Record move in history; a new move discards any undone moves
         this.moveHistory.push({
-            player: this.currentPlayer === 'player' ? 'ai' : 'player', // Previous player
+            player: mover,
             move: moveDetails,
             boardState: [...this.board],
-            scores: { player: this.playerScore, ai: this.aiScore }
+            scores: { player: this.playerScore, ai: this.aiScore },
+            nextPlayer: this.currentPlayer,
+            gameOver: this.gameOver,
+            winner: this.winner
         });
-
-        // Check for game end
-        this.checkGameEnd();
+        this.redoStack = [];
 
         return {
             success: true,
             moveDetails: moveDetails,
-            captured: captureResult.captured,
+            captured: nextState.lastCaptured,
             bonusTurn: moveDetails.bonusTurn,
             gameOver: this.gameOver,
             winner: this.winner
@@ -124,18 +128,121 @@ class PallanguzhiGame {
     }
 
     /**
-     * Get the next pit in counter-clockwise direction
-     * @param {number} currentPit - Current pit index
-     * @returns {number} - Next pit index
+     * Get the shared state configuration (rule set, board spec and blocked pits)
+     * Rebuilt only when one of those changes.
+     * @returns {Object} - Configuration from GameState.createConfig
      */
-    getNextPit(currentPit) {
-        if (currentPit >= 0 && currentPit <= 6) {
-            // Player side: move right (0->1->2->3->4->5->6->7)
-            return currentPit === 6 ? 7 : currentPit + 1;
-        } else {
-            // AI side: move right (7->8->9->10->11->12->13->0)
-            return currentPit === 13 ? 0 : currentPit + 1;
+    getConfig() {
+        if (!this.config || this.config.ruleSet !== this.ruleSet ||
+            this.config.spec !== this.spec || this.config.blockedPits !== this.blockedPits) {
+            this.config = GameState.createConfig(this.spec, this.ruleSet, this.blockedPits);
         }
+        return this.config;
+    }
+
+    /**
+     * Get a compact, independent copy of the current position for search
+     * @returns {Object} - GameState state
+     */
+    toState() {
+        const state = GameState.create(
+            this.getConfig(), this.board, this.playerScore, this.aiScore, this.currentPlayer);
+        state.gameOver = this.gameOver;
+        state.winner = this.winner;
+        return state;
+    }
+
+    /**
+     * Set the live position from a GameState state
+     * @param {Object} state - State to load
+     */
+    loadState(state) {
+        this.board = Array.from(state.board);
+        this.playerScore = state.playerScore;
+        this.aiScore = state.aiScore;
+        this.currentPlayer = state.currentPlayer;
+        this.gameOver = state.gameOver;
+        this.winner = state.winner;
+    }
+
+    /**
+     * Get the other side
+     * @param {string} side - 'player' or 'ai'
+     * @returns {string} - The opposing side
+     */
+    getOpponent(side) {
+        return side === 'player' ? 'ai' : 'player';
+    }
+
+    /**
+     * Check if a pit is closed for this round
+     * @param {number} pitIndex - Pit to check
+     * @returns {boolean} - Whether the pit is blocked
+     */
+    isPitBlocked(pitIndex) {
+        return this.blockedPits.length > 0 && this.blockedPits.includes(pitIndex);
+    }
+
+    /**
+     * Get the first and last pit index of a player's row
+     * @param {string} side - 'player' or 'ai'
+     * @returns {Object} - { start, end } inclusive pit indices
+     */
+    getPitRange(side) {
+        const start = side === 'player' ? 0 : this.pitsPerRow;
+        return { start: start, end: start + this.pitsPerRow - 1 };
+    }
+
+    /**
+     * Count the stones on a player's row
+     * @param {string} side - 'player' or 'ai'
+     * @returns {number} - Stones on that row
+     */
+    getRowStones(side) {
+        const { start, end } = this.getPitRange(side);
+        let stones = 0;
+        for (let i = start; i <= end; i++) {
+            stones += this.board[i];
+        }
+        return stones;
+    }
+
+    /**
+     * Get the middle pit of a player's row (null for rows with an even pit count)
+     * @param {string} side - 'player' or 'ai'
+     * @returns {number|null} - Middle pit index
+     */
+    getMiddlePit(side) {
+        if (this.pitsPerRow % 2 === 0) return null;
+        return this.getPitRange(side).start + Math.floor(this.pitsPerRow / 2);
+    }
+
+    /**
+     * Get the two corner pits of a player's row
+     * @param {string} side - 'player' or 'ai'
+     * @returns {Array<number>} - Corner pit indices
+     */
+    getCornerPits(side) {
+        const { start, end } = this.getPitRange(side);
+        return [start, end];
+    }
+
+    /**
+     * Convert a board index to the 1-based pit number on its owner's row
+     * @param {number} pitIndex - Board index
+     * @returns {number} - Pit number as shown to players
+     */
+    getPitNumber(pitIndex) {
+        return (pitIndex % this.pitsPerRow) + 1;
+    }
+
+    /**
+     * Get the player whose row a pit is on
+     * @param {number} pitIndex - Pit to check
+     * @returns {string} - 'player' or 'ai'
+     */
+    getPitOwner(pitIndex) {
+        return pitIndex < this.pitsPerRow ? 'player' : 'ai';
     }
 
     /**
@@ -144,93 +251,160 @@ class PallanguzhiGame {
      * @returns {boolean} - Whether pit belongs to current player
      */
     isOwnPit(pitIndex) {
-        if (this.currentPlayer === 'player') {
-            return pitIndex >= 0 && pitIndex <= 6;
-        } else {
-            return pitIndex >= 7 && pitIndex <= 13;
+        const { start, end } = this.getPitRange(this.currentPlayer);
+        return pitIndex >= start && pitIndex <= end;
+    }
+
+    /**
+     * Capture the fields needed to restore the game to this exact point
+     * @returns {Object} - Snapshot of board, scores, turn and result
+     */
+    captureSnapshot() {
+        return {
+            boardState: [...this.board],
+            scores: { player: this.playerScore, ai: this.aiScore },
+            nextPlayer: this.currentPlayer,
+            gameOver: this.gameOver,
+            winner: this.winner
+        };
+    }
+
+    /**
+     * Restore the game from a snapshot or a moveHistory entry
+     * @param {Object} snapshot - Object with boardState, scores, nextPlayer, gameOver and winner
+     */
+    restoreSnapshot(snapshot) {
+        this.board = [...snapshot.boardState];
+        this.playerScore = snapshot.scores.player;
+        this.aiScore = snapshot.scores.ai;
+        this.currentPlayer = snapshot.nextPlayer;
+        this.gameOver = snapshot.gameOver;
+        this.winner = snapshot.winner;
+    }
+
+    /**
+     * Take back the last move
+     * @returns {Object|null} - The undone history entry, or null if there is nothing to undo
+     */
+    undo() {
+        if (this.moveHistory.length === 0) return null;
+
+        const entry = this.moveHistory.pop();
+        this.redoStack.push(entry);
+
+        const previous = this.moveHistory[this.moveHistory.length - 1] || this.initialState;
+        this.restoreSnapshot(previous);
+
+        return entry;
+    }
+
+    /**
+     * Replay the last undone move
+     * @returns {Object|null} - The redone history entry, or null if there is nothing to redo
+     */
+    redo() {
+        if (this.redoStack.length === 0) return null;
+
+        const entry = this.redoStack.pop();
+        this.moveHistory.push(entry);
+        this.restoreSnapshot(entry);
+
+        return entry;
+    }
+
+    /**
+     * Take back a whole exchange: the opponent's replies and the side's own last move
+     * @param {string} side - The side that wants its move back
+     * @returns {number} - Number of moves undone
+     */
+    undoTurn(side) {
+        let undone = 0;
+
+        while (this.moveHistory.length > 0) {
+            const entry = this.undo();
+            undone++;
+            if (entry.player === side && this.currentPlayer === side) break;
         }
+
+        return undone;
     }
 
     /**
-     * Check for captures after a move
-     * @param {number} lastPit - The pit where the last stone landed
-     * @param {Object} moveDetails - Details of the current move
-     * @returns {Object} - Capture result
-     */
-    checkCapture(lastPit, moveDetails) {
-        let totalCaptured = 0;
-        const captures = [];
-
-        // Capture only occurs if last stone lands in opponent's empty pit
-        if (!this.isOwnPit(lastPit) && this.board[lastPit] === 1) {
-            // Look for adjacent pits with stones to capture
-            const adjacentPits = this.getAdjacentPits(lastPit);
-            
-            for (const adjPit of adjacentPits) {
-                if (this.board[adjPit] > 0) {
-                    const captured = this.board[adjPit];
-                    this.board[adjPit] = 0;
-                    totalCaptured += captured;
-                    captures.push({ pit: adjPit, stones: captured });
-                }
-            }
+     * Replay a whole exchange: the side's move and the opponent's replies up to its next turn
+     * @param {string} side - The side whose turn should come back around
+     * @returns {number} - Number of moves redone
+     */
+    redoTurn(side) {
+        let redone = 0;
 
-            // Also capture the pit where the stone landed
-            if (totalCaptured > 0) {
-                totalCaptured += this.board[lastPit];
-                this.board[lastPit] = 0;
-                captures.push({ pit: lastPit, stones: 1 });
-            }
+        while (this.redoStack.length > 0) {
+            this.redo();
+            redone++;
+            if (this.currentPlayer === side || this.gameOver) break;
         }
 
-        return { captured: totalCaptured, captures: captures };
+        return redone;
     }
 
     /**
-     * Get adjacent pits for capture checking
-     * @param {number} pitIndex - The pit to check around
-     * @returns {Array} - Array of adjacent pit indices
+     * Check if there is a move to undo
+     * @returns {boolean}
      */
-    getAdjacentPits(pitIndex) {
-        const adjacent = [];
-        
-        // Add left and right neighbors
-        if (pitIndex > 0) adjacent.push(pitIndex - 1);
-        if (pitIndex < 13) adjacent.push(pitIndex + 1);
-        
-        // Handle wraparound for circular board
-        if (pitIndex === 0) adjacent.push(13);
-        if (pitIndex === 13) adjacent.push(0);
-        
-        return adjacent;
-    }
-
-    /**
-     * Check if the game has ended
-     */
-    checkGameEnd() {
-        const playerSideEmpty = this.board.slice(0, 7).every(stones => stones === 0);
-        const aiSideEmpty = this.board.slice(7, 14).every(stones => stones === 0);
-
-        if (playerSideEmpty || aiSideEmpty) {
-            this.gameOver = true;
-            
-            // Add remaining stones to respective scores
-            const remainingPlayerStones = this.board.slice(0, 7).reduce((sum, stones) => sum + stones, 0);
-            const remainingAiStones = this.board.slice(7, 14).reduce((sum, stones) => sum + stones, 0);
-            
-            this.playerScore += remainingPlayerStones;
-            this.aiScore += remainingAiStones;
-            
-            // Determine winner
-            if (this.playerScore > this.aiScore) {
-                this.winner = 'player';
-            } else if (this.aiScore > this.playerScore) {
-                this.winner = 'ai';
-            } else {
-                this.winner = 'tie';
-            }
+    canUndo() {
+        return this.moveHistory.length > 0;
+    }
+
+    /**
+     * Check if there is an undone move to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the current position as a position string (see gameRecord.js)
+     * @returns {string} - Position string such as "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s"
+     */
+    getPosition() {
+        return GameRecord.formatPosition(this);
+    }
+
+    /**
+     * Start a fresh game from a position string
+     * Switches to the matching board spec when the row length differs. Throws, leaving
+     * the game alone, when the position cannot be played (see GameRecord.validatePosition).
+     * @param {string} text - Position string
+     */
+    loadPosition(text) {
+        const position = GameRecord.parsePosition(text);
+        const spec = position.pitsPerRow === this.pitsPerRow ? this.spec : GameRecord.findSpec(position.pitsPerRow);
+        const errors = GameRecord.validatePosition(position, spec);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
         }
+
+        this.setBoardSpec(spec);
+        this.initializeGame(position);
+    }
+
+    /**
+     * Export the game as a text record (see gameRecord.js for the notation)
+     * @param {Object} headers - Extra headers such as South, North, Difficulty
+     * @returns {string} - Record text
+     */
+    exportRecord(headers = {}) {
+        return GameRecord.format(this, headers);
+    }
+
+    /**
+     * Replace this game with the one described by a text record
+     * The record is replayed move by move, so the final board and scores are recomputed.
+     * @param {string} text - Record text
+     * @returns {Object} - Headers of the imported record
+     */
+    importRecord(text) {
+        return GameRecord.replay(this, text);
     }
 
     /**
@@ -245,7 +419,10 @@ class PallanguzhiGame {
             currentPlayer: this.currentPlayer,
             gameOver: this.gameOver,
             winner: this.winner,
-            validMoves: this.getValidMoves()
+            validMoves: this.getValidMoves(),
+            position: this.getPosition(),
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
         };
     }
 
@@ -255,8 +432,7 @@ class PallanguzhiGame {
      */
     getValidMoves() {
         const moves = [];
-        const start = this.currentPlayer === 'player' ? 0 : 7;
-        const end = this.currentPlayer === 'player' ? 6 : 13;
+        const { start, end } = this.getPitRange(this.currentPlayer);
         
         for (let i = start; i <= end; i++) {
             if (this.board[i] > 0) {
@@ -273,36 +449,34 @@ class PallanguzhiGame {
      * @returns {Object} - Simulated move result
      */
     simulateMove(pitIndex) {
-        // Create a copy of the current game state
-        const originalBoard = [...this.board];
-        const originalPlayerScore = this.playerScore;
-        const originalAiScore = this.aiScore;
-        const originalCurrentPlayer = this.currentPlayer;
-        const originalGameOver = this.gameOver;
-        const originalWinner = this.winner;
-
-        // Make the move
-        const result = this.makeMove(pitIndex);
-
-        // Store the simulated result
-        const simulatedState = {
-            board: [...this.board],
-            playerScore: this.playerScore,
-            aiScore: this.aiScore,
-            currentPlayer: this.currentPlayer,
-            gameOver: this.gameOver,
-            winner: this.winner,
-            moveResult: result
-        };
+        if (!this.isValidMove(pitIndex)) {
+            return { ...this.getGameState(), moveResult: { success: false, message: 'Invalid move' } };
+        }
 
-        // Restore original state
-        this.board = originalBoard;
-        this.playerScore = originalPlayerScore;
-        this.aiScore = originalAiScore;
-        this.currentPlayer = originalCurrentPlayer;
-        this.gameOver = originalGameOver;
-        this.winner = originalWinner;
+        const moveDetails = {
+            startPit: pitIndex,
+            path: [pitIndex],
+            relays: [],
+            captures: [],
+            bonusTurn: false
+        };
+        const nextState = GameState.applyMove(this.toState(), pitIndex, moveDetails);
 
-        return simulatedState;
+        return {
+            board: Array.from(nextState.board),
+            playerScore: nextState.playerScore,
+            aiScore: nextState.aiScore,
+            currentPlayer: nextState.currentPlayer,
+            gameOver: nextState.gameOver,
+            winner: nextState.winner,
+            moveResult: {
+                success: true,
+                moveDetails: moveDetails,
+                captured: nextState.lastCaptured,
+                bonusTurn: nextState.bonusTurn,
+                gameOver: nextState.gameOver,
+                winner: nextState.winner
+            }
+        };
     }
 }
\ No newline at end of file
@@ -0,0 +1,384 @@
+/**
+ * Game Records for Pallanguzhi
+ * Text notation for saving, sharing and replaying complete games
+ *
+ * A record is a block of headers followed by numbered moves, for example:
+ *
+ *   [Event "Pallanguzhi"]
+ *   [Date "2026.10.19"]
+ *   [Variant "seven"]
+ *   [Rules "simplified"]
+ *   [South "You"]
+ *   [North "AI"]
+ *   [Difficulty "medium"]
+ *   [Score "58-38"]
+ *   [Result "1-0"]
+ *
+ *   1. 4 3x7 2. 1+6 5 3. 2x13 7+2 ... 1-0
+ *
+ * - South is the bottom row (the player), North the top row (the AI)
+ * - Each numbered move holds South's turn then North's turn; "1... 5" means North starts
+ * - A move is the pit number 1-n counted on the mover's own row
+ * - "+" joins the moves of a bonus-turn chain played by the same side
+ * - "x7" marks 7 stones captured by the mover, "p4" marks 4 stones taken as pasu
+ * - Result is "1-0" (South wins), "0-1" (North wins), "1/2-1/2" (tie) or "*" (unfinished)
+ * - An optional Setup header holds the starting position string of a non-standard start
+ * - A header value writes " as \" and \ as \\, so names may hold quotes and backslashes
+ * - Text in {braces} is a comment and is ignored
+ *
+ * A position string encodes the pits, both stores and the side to move:
+ *
+ *   6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s
+ *
+ * - South's pits 1-n, a slash, then North's pits 1-n; "x" marks a blocked pit
+ * - South's store and North's store
+ * - The side to move: "s" (South, the player) or "n" (North, the AI)
+ */
+
+const RECORD_RESULTS = {
+    player: '1-0',
+    ai: '0-1',
+    tie: '1/2-1/2'
+};
+
+class GameRecord {
+    /**
+     * Write a game as a record
+     * @param {PallanguzhiGame} game - Game to record
+     * @param {Object} headers - Extra headers (South, North, Difficulty, Date, ...)
+     * @returns {string} - Record text
+     */
+    static format(game, headers = {}) {
+        const result = game.gameOver ? RECORD_RESULTS[game.winner] : '*';
+        const start = game.initialState;
+        const allHeaders = {
+            Event: 'Pallanguzhi',
+            Date: GameRecord.formatDate(new Date()),
+            Variant: game.spec.id,
+            Rules: game.ruleSet,
+            South: 'You',
+            North: 'AI',
+            ...headers
+        };
+
+        // Describe a non-standard starting position (match rounds, custom setups)
+        const startPosition = GameRecord.formatPosition({
+            board: start.boardState,
+            blockedPits: game.blockedPits,
+            playerScore: start.scores.player,
+            aiScore: start.scores.ai,
+            currentPlayer: start.nextPlayer,
+            pitsPerRow: game.pitsPerRow
+        });
+        const standardPosition = GameRecord.formatPosition({
+            board: [...game.spec.layout, ...game.spec.layout],
+            blockedPits: [],
+            playerScore: 0,
+            aiScore: 0,
+            currentPlayer: 'player',
+            pitsPerRow: game.pitsPerRow
+        });
+        if (startPosition !== standardPosition) {
+            allHeaders.Setup = startPosition;
+        }
+
+        allHeaders.Score = `${game.playerScore}-${game.aiScore}`;
+        allHeaders.Result = result;
+
+        const headerText = Object.entries(allHeaders)
+            .map(([key, value]) => `[${key} "${String(value).replace(/[\\"]/g, '\\$&')}"]`)
+            .join('\n');
+
+        return `${headerText}\n\n${GameRecord.formatMoves(game)} ${result}\n`;
+    }
+
+    /**
+     * Write the numbered move text of a game
+     * @param {PallanguzhiGame} game - Game to record
+     * @returns {string} - Move text without the result
+     */
+    static formatMoves(game) {
+        // Group consecutive moves by the same side into turns
+        const turns = [];
+        for (const entry of game.moveHistory) {
+            const lastTurn = turns[turns.length - 1];
+            const token = GameRecord.formatMove(game, entry);
+            if (lastTurn && lastTurn.player === entry.player) {
+                lastTurn.moves.push(token);
+            } else {
+                turns.push({ player: entry.player, moves: [token] });
+            }
+        }
+
+        const parts = [];
+        let moveNumber = 1;
+        turns.forEach((turn, i) => {
+            const text = turn.moves.join('+');
+            if (turn.player === 'player') {
+                parts.push(`${moveNumber}. ${text}`);
+            } else {
+                if (i === 0) parts.push(`${moveNumber}...`);
+                parts.push(text);
+                moveNumber++;
+            }
+        });
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Write a single move with its annotations
+     * @param {PallanguzhiGame} game - Game the move belongs to
+     * @param {Object} entry - moveHistory entry
+     * @returns {string} - Move token such as "3x7" or "5p4"
+     */
+    static formatMove(game, entry) {
+        const { captures, startPit } = entry.move;
+        const captured = captures
+            .filter(capture => capture.type === 'capture' && capture.by === entry.player)
+            .reduce((sum, capture) => sum + capture.stones, 0);
+        const pasu = captures
+            .filter(capture => capture.type === 'pasu')
+            .reduce((sum, capture) => sum + capture.stones, 0);
+
+        let token = String(game.getPitNumber(startPit));
+        if (captured > 0) token += `x${captured}`;
+        if (pasu > 0) token += `p${pasu}`;
+        return token;
+    }
+
+    /**
+     * Parse record text into headers and moves
+     * @param {string} text - Record text
+     * @returns {Object} - { headers, moves, result } where moves are
+     *     { pit, captured, pasu, chained, turn } with pit counted 1-n on the mover's row
+     */
+    static parse(text) {
+        const headers = {};
+        const headerPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+        const moveLines = [];
+
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(headerPattern);
+            if (match) {
+                headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+            } else {
+                moveLines.push(line);
+            }
+        }
+
+        const moveText = moveLines.join(' ').replace(/\{[^}]*\}/g, ' ');
+        const tokens = moveText.split(/\s+/).filter(token => token.length > 0);
+        const moves = [];
+        let result = null;
+        let turn = 0;
+
+        for (const token of tokens) {
+            if (/^\d+\.(\.\.)?$/.test(token)) continue; // Move number
+            if (['1-0', '0-1', '1/2-1/2', '*'].includes(token)) {
+                result = token;
+                continue;
+            }
+
+            turn++;
+            const chain = token.split('+');
+            chain.forEach((moveToken, i) => {
+                const match = moveToken.match(/^(\d+)(?:x(\d+))?(?:p(\d+))?$/);
+                if (!match) {
+                    throw new Error(`Unreadable move "${moveToken}" in turn ${turn}`);
+                }
+                moves.push({
+                    pit: parseInt(match[1]),
+                    captured: match[2] !== undefined ? parseInt(match[2]) : 0,
+                    pasu: match[3] !== undefined ? parseInt(match[3]) : 0,
+                    chained: i < chain.length - 1,
+                    turn: turn
+                });
+            });
+        }
+
+        return { headers: headers, moves: moves, result: result || headers.Result || '*' };
+    }
+
+    /**
+     * Replay a record onto a game
+     * The game is reset to the record's variant, rules and starting position, then every
+     * move is played and checked against the record's annotations. Unknown headers and bad
+     * setups are refused before the game is touched.
+     * @param {PallanguzhiGame} game - Game to load into
+     * @param {string} text - Record text
+     * @returns {Object} - Parsed headers of the record
+     */
+    static replay(game, text) {
+        const { headers, moves, result } = GameRecord.parse(text);
+
+        const spec = BOARD_SPECS[headers.Variant || 'seven'];
+        if (!spec) {
+            throw new Error(`Unknown variant "${headers.Variant}"`);
+        }
+        const ruleSet = headers.Rules || 'simplified';
+        if (!RULE_SETS[ruleSet]) {
+            throw new Error(`Unknown rules "${headers.Rules}"`);
+        }
+        const setup = headers.Setup ? GameRecord.parsePosition(headers.Setup) : {};
+        if (headers.Setup) {
+            const errors = GameRecord.validatePosition(setup, spec);
+            if (errors.length > 0) {
+                throw new Error(`Setup position: ${errors.join(' ')}`);
+            }
+        }
+
+        game.setBoardSpec(spec);
+        game.setRuleSet(ruleSet);
+        game.initializeGame(setup);
+
+        moves.forEach((move, i) => {
+            const pitIndex = game.getPitRange(game.currentPlayer).start + move.pit - 1;
+            if (move.pit < 1 || move.pit > game.pitsPerRow || !game.isValidMove(pitIndex)) {
+                throw new Error(`Move ${i + 1} (turn ${move.turn}): pit ${move.pit} is not playable`);
+            }
+
+            const moveResult = game.makeMove(pitIndex);
+            const entry = game.moveHistory[game.moveHistory.length - 1];
+            const token = GameRecord.formatMove(game, entry);
+            const expected = `${move.pit}${move.captured ? `x${move.captured}` : ''}${move.pasu ? `p${move.pasu}` : ''}`;
+
+            if (token !== expected) {
+                throw new Error(`Move ${i + 1} (turn ${move.turn}): record says ${expected} but the game played ${token}`);
+            }
+            // A bonus move only stands alone when it ends the game or the record
+            const isLastMove = i === moves.length - 1;
+            if (move.chained !== moveResult.bonusTurn && (move.chained || !(moveResult.gameOver || isLastMove))) {
+                throw new Error(`Move ${i + 1} (turn ${move.turn}): bonus turn does not match the record`);
+            }
+        });
+
+        if (headers.Score && headers.Score !== `${game.playerScore}-${game.aiScore}`) {
+            throw new Error(`Replay ends at ${game.playerScore}-${game.aiScore}, record says ${headers.Score}`);
+        }
+        const replayedResult = game.gameOver ? RECORD_RESULTS[game.winner] : '*';
+        if (result !== '*' && result !== replayedResult) {
+            throw new Error(`Replay ends with result ${replayedResult}, record says ${result}`);
+        }
+
+        return headers;
+    }
+
+    /**
+     * Write a position string
+     * @param {Object} position - Any object with board, blockedPits, playerScore, aiScore,
+     *     currentPlayer and pitsPerRow (a PallanguzhiGame works)
+     * @returns {string} - Position string such as "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s"
+     */
+    static formatPosition(position) {
+        const pits = Array.from(position.board, (stones, pit) =>
+            position.blockedPits.includes(pit) ? 'x' : String(stones));
+        const south = pits.slice(0, position.pitsPerRow).join(',');
+        const north = pits.slice(position.pitsPerRow).join(',');
+        const side = position.currentPlayer === 'player' ? 's' : 'n';
+
+        return `${south}/${north} ${position.playerScore}-${position.aiScore} ${side}`;
+    }
+
+    /**
+     * Read a position string
+     * Throws when the string is malformed or holds negative or fractional counts.
+     * @param {string} text - Position string
+     * @returns {Object} - { board, blockedPits, playerScore, aiScore, firstPlayer, pitsPerRow }
+     */
+    static parsePosition(text) {
+        const match = String(text).trim().match(/^([\dx,]+)\/([\dx,]+)\s+(\d+)-(\d+)\s+([sn])$/);
+        if (!match) {
+            throw new Error('Position must look like "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s"');
+        }
+
+        const south = match[1].split(',');
+        const north = match[2].split(',');
+        if (south.length !== north.length || south.length < 2) {
+            throw new Error('Both rows of a position need the same number of pits');
+        }
+
+        const board = [];
+        const blockedPits = [];
+        [...south, ...north].forEach((value, pit) => {
+            if (value === 'x') {
+                blockedPits.push(pit);
+                board.push(0);
+            } else if (/^\d+$/.test(value)) {
+                board.push(parseInt(value));
+            } else {
+                throw new Error(`Pit count "${value}" must be a non-negative whole number`);
+            }
+        });
+
+        return {
+            board: board,
+            blockedPits: blockedPits,
+            playerScore: parseInt(match[3]),
+            aiScore: parseInt(match[4]),
+            firstPlayer: match[5] === 's' ? 'player' : 'ai',
+            pitsPerRow: south.length
+        };
+    }
+
+    /**
+     * Check that a parsed position can be played on a board
+     * The seeds on the board and in the stores must add up to the spec's total. With
+     * blocked pits they may fall short: a match round keeps the seeds a side could not
+     * sow into a whole pit in reserve, off the board.
+     * @param {Object} position - Result of parsePosition
+     * @param {Object} spec - Board spec the position is for
+     * @returns {Array<string>} - Problems found; empty when the position is playable
+     */
+    static validatePosition(position, spec) {
+        const errors = [];
+
+        if (position.pitsPerRow !== spec.pitsPerRow) {
+            errors.push(`The board has ${spec.pitsPerRow} pits per row, the position ${position.pitsPerRow}.`);
+            return errors;
+        }
+        if (position.board.some(stones => !Number.isInteger(stones) || stones < 0)) {
+            errors.push('Pit counts must be non-negative whole numbers.');
+        }
+
+        const total = position.board.reduce((sum, stones) => sum + stones, 0) +
+            position.playerScore + position.aiScore;
+        const reserveAllowed = position.blockedPits.length > 0 && total < spec.totalSeeds;
+        if (total !== spec.totalSeeds && !reserveAllowed) {
+            errors.push(`Seeds on the board and in the stores total ${total}; the ${spec.name} board uses ${spec.totalSeeds}.`);
+        }
+
+        const southStones = position.board.slice(0, spec.pitsPerRow).reduce((sum, stones) => sum + stones, 0);
+        const northStones = position.board.slice(spec.pitsPerRow).reduce((sum, stones) => sum + stones, 0);
+        if (southStones === 0 || northStones === 0) {
+            errors.push('Both rows need at least one seed.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Find the board spec for a row length
+     * Throws when no board has that many pits per row.
+     * @param {number} pitsPerRow - Pits in each row
+     * @returns {Object} - Matching entry of BOARD_SPECS
+     */
+    static findSpec(pitsPerRow) {
+        const spec = Object.values(BOARD_SPECS).find(candidate => candidate.pitsPerRow === pitsPerRow);
+        if (!spec) {
+            throw new Error(`No board has ${pitsPerRow} pits per row`);
+        }
+        return spec;
+    }
+
+    /**
+     * Format a date as YYYY.MM.DD
+     * @param {Date} date - Date to format
+     * @returns {string} - Formatted date
+     */
+    static formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}.${month}.${day}`;
+    }
+}
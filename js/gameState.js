@@ -0,0 +1,441 @@
+/**
+ * Pallanguzhi Game State
+ * Rule sets, board specs and a pure, allocation-light rules engine shared by the game,
+ * the AI search and hints
+ */
+
+/**
+ * Available rule sets
+ * - simplified: a single lap of sowing, captures around an empty opponent pit, bonus turns
+ * - traditional: relay sowing, capture beyond an empty pit and "pasu" captures of four
+ */
+const RULE_SETS = {
+    simplified: {
+        name: 'Simplified',
+        tamilName: 'எளிய விதிகள்',
+        relaySowing: false,
+        pasu: false,
+        bonusTurns: true
+    },
+    traditional: {
+        name: 'Traditional',
+        tamilName: 'பாரம்பரிய விதிகள்',
+        relaySowing: true,
+        pasu: true,
+        bonusTurns: false
+    }
+};
+
+/**
+ * Regional board variants
+ * Each spec sets the pits per row, the seeds per pit and the starting layout of a row.
+ * Both rows start with the same layout.
+ */
+const BOARD_SPECS = {
+    five: createBoardSpec({ id: 'five', name: '5 pits', pitsPerRow: 5, seedsPerPit: 6 }),
+    seven: createBoardSpec({ id: 'seven', name: '7 pits', pitsPerRow: 7, seedsPerPit: 6 }),
+    nine: createBoardSpec({ id: 'nine', name: '9 pits', pitsPerRow: 9, seedsPerPit: 5 })
+};
+
+/**
+ * Build a board spec, filling in the default layout when none is given
+ * The default layout puts seedsPerPit in every pit and doubles the middle pit,
+ * which gives the classic 6/6/6/12/6/6/6 row for seven pits.
+ * @param {Object} options - Spec options
+ * @param {string} options.id - Spec identifier
+ * @param {string} options.name - Display name
+ * @param {number} options.pitsPerRow - Pits in each row
+ * @param {number} options.seedsPerPit - Seeds in an ordinary pit at the start
+ * @param {Array<number>} [options.layout] - Starting seeds for each pit of a row
+ * @returns {Object} - Board spec
+ */
+function createBoardSpec({ id, name, pitsPerRow, seedsPerPit, layout }) {
+    if (!Number.isInteger(pitsPerRow) || pitsPerRow < 2) {
+        throw new Error(`Invalid pits per row: ${pitsPerRow}`);
+    }
+
+    if (!layout) {
+        layout = new Array(pitsPerRow).fill(seedsPerPit);
+        if (pitsPerRow % 2 === 1) {
+            layout[Math.floor(pitsPerRow / 2)] = seedsPerPit * 2;
+        }
+    }
+
+    if (layout.length !== pitsPerRow || layout.some(seeds => !Number.isInteger(seeds) || seeds < 0)) {
+        throw new Error('Board layout must give a non-negative seed count for every pit in a row');
+    }
+
+    return {
+        id: id || `custom-${pitsPerRow}`,
+        name: name || `${pitsPerRow} pits`,
+        pitsPerRow: pitsPerRow,
+        seedsPerPit: seedsPerPit,
+        layout: [...layout],
+        totalSeeds: layout.reduce((sum, seeds) => sum + seeds, 0) * 2
+    };
+}
+
+// Safety limit on relay laps so a pathological position can never loop forever
+const MAX_RELAY_LAPS = 500;
+
+/**
+ * Pure rules engine over compact game states
+ * A state is { config, board, playerScore, aiScore, currentPlayer, gameOver, winner,
+ * lastCaptured, bonusTurn } where board is an Int16Array and config is shared and never
+ * modified. applyMove returns a new state and leaves its input untouched, so the AI can
+ * search and hints can look ahead without disturbing the live game.
+ */
+class GameState {
+    /**
+     * Build the shared, read-only configuration for states of one game
+     * @param {Object} spec - Board spec
+     * @param {string} ruleSet - Key of RULE_SETS
+     * @param {Array<number>} blockedPits - Pits closed for this round
+     * @returns {Object} - State configuration
+     */
+    static createConfig(spec, ruleSet, blockedPits = []) {
+        const pitsPerRow = spec.pitsPerRow;
+        const pitCount = pitsPerRow * 2;
+
+        const blocked = new Uint8Array(pitCount);
+        for (const pit of blockedPits) {
+            blocked[pit] = 1;
+        }
+
+        // Precompute the counter-clockwise successor of every pit, skipping blocked pits
+        const nextPit = new Int8Array(pitCount);
+        for (let pit = 0; pit < pitCount; pit++) {
+            let next = (pit + 1) % pitCount;
+            while (blocked[next] && next !== pit) {
+                next = (next + 1) % pitCount;
+            }
+            nextPit[pit] = next;
+        }
+
+        const middle = pitsPerRow % 2 === 1 ? Math.floor(pitsPerRow / 2) : null;
+
+        return {
+            spec: spec,
+            ruleSet: ruleSet,
+            rules: RULE_SETS[ruleSet],
+            pitsPerRow: pitsPerRow,
+            pitCount: pitCount,
+            blockedPits: blockedPits,
+            blocked: blocked,
+            nextPit: nextPit,
+            middlePits: middle === null ? null : { player: middle, ai: pitsPerRow + middle },
+            cornerPits: { player: [0, pitsPerRow - 1], ai: [pitsPerRow, pitCount - 1] }
+        };
+    }
+
+    /**
+     * Create a state
+     * @param {Object} config - Configuration from createConfig
+     * @param {ArrayLike<number>} board - Seeds in every pit
+     * @param {number} playerScore - Player's store
+     * @param {number} aiScore - AI's store
+     * @param {string} currentPlayer - Side to move
+     * @returns {Object} - New state
+     */
+    static create(config, board, playerScore = 0, aiScore = 0, currentPlayer = 'player') {
+        return {
+            config: config,
+            board: Int16Array.from(board),
+            playerScore: playerScore,
+            aiScore: aiScore,
+            currentPlayer: currentPlayer,
+            gameOver: false,
+            winner: null,
+            lastCaptured: 0,
+            bonusTurn: false
+        };
+    }
+
+    /**
+     * Get the first pit index of a side's row
+     * @param {Object} config - State configuration
+     * @param {string} side - 'player' or 'ai'
+     * @returns {number} - First pit index
+     */
+    static rowStart(config, side) {
+        return side === 'player' ? 0 : config.pitsPerRow;
+    }
+
+    /**
+     * Get the other side
+     * @param {string} side - 'player' or 'ai'
+     * @returns {string} - The opposing side
+     */
+    static getOpponent(side) {
+        return side === 'player' ? 'ai' : 'player';
+    }
+
+    /**
+     * Get the side whose row a pit is on
+     * @param {Object} config - State configuration
+     * @param {number} pitIndex - Pit to check
+     * @returns {string} - 'player' or 'ai'
+     */
+    static getPitOwner(config, pitIndex) {
+        return pitIndex < config.pitsPerRow ? 'player' : 'ai';
+    }
+
+    /**
+     * Check if a move is legal for the side to move
+     * @param {Object} state - Game state
+     * @param {number} pitIndex - The pit to move from
+     * @returns {boolean} - Whether the move is valid
+     */
+    static isValidMove(state, pitIndex) {
+        if (state.gameOver || !Number.isInteger(pitIndex)) return false;
+
+        const start = GameState.rowStart(state.config, state.currentPlayer);
+        if (pitIndex < start || pitIndex >= start + state.config.pitsPerRow) return false;
+
+        return state.board[pitIndex] > 0;
+    }
+
+    /**
+     * Get all valid moves for the side to move
+     * @param {Object} state - Game state
+     * @returns {Array<number>} - Valid pit indices
+     */
+    static getValidMoves(state) {
+        const moves = [];
+        if (state.gameOver) return moves;
+
+        const start = GameState.rowStart(state.config, state.currentPlayer);
+        const end = start + state.config.pitsPerRow;
+        for (let i = start; i < end; i++) {
+            if (state.board[i] > 0) moves.push(i);
+        }
+
+        return moves;
+    }
+
+    /**
+     * Count the playable pits of a side without allocating
+     * @param {Object} state - Game state
+     * @param {string} side - 'player' or 'ai'
+     * @returns {number} - Number of non-empty pits on that row
+     */
+    static countMoves(state, side) {
+        const start = GameState.rowStart(state.config, side);
+        const end = start + state.config.pitsPerRow;
+        let count = 0;
+        for (let i = start; i < end; i++) {
+            if (state.board[i] > 0) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Count the stones on a side's row
+     * @param {Object} state - Game state
+     * @param {string} side - 'player' or 'ai'
+     * @returns {number} - Stones on that row
+     */
+    static getRowStones(state, side) {
+        const start = GameState.rowStart(state.config, side);
+        const end = start + state.config.pitsPerRow;
+        let stones = 0;
+        for (let i = start; i < end; i++) {
+            stones += state.board[i];
+        }
+        return stones;
+    }
+
+    /**
+     * Play a move and return the resulting state
+     * The move must be valid (see isValidMove); the input state is not modified.
+     * @param {Object} state - Game state
+     * @param {number} pitIndex - The pit to move from
+     * @param {Object} [details] - When given, filled with path, relays, captures and bonusTurn
+     * @returns {Object} - New state; lastCaptured and bonusTurn describe the move just played
+     */
+    static applyMove(state, pitIndex, details = null) {
+        const config = state.config;
+        const next = {
+            config: config,
+            board: state.board.slice(),
+            playerScore: state.playerScore,
+            aiScore: state.aiScore,
+            currentPlayer: state.currentPlayer,
+            gameOver: false,
+            winner: null,
+            lastCaptured: 0,
+            bonusTurn: false
+        };
+
+        // Sow the stones according to the active rule set
+        const lastPit = config.rules.relaySowing ?
+            GameState.sowTraditional(next, pitIndex, details) :
+            GameState.sowSimplified(next, pitIndex, details);
+
+        // Check for bonus turn (last stone lands in own pit with even number)
+        const stonesInLastPit = next.board[lastPit];
+        if (config.rules.bonusTurns && GameState.getPitOwner(config, lastPit) === next.currentPlayer &&
+            stonesInLastPit > 0 && stonesInLastPit % 2 === 0) {
+            next.bonusTurn = true;
+        } else {
+            // Switch players if no bonus turn
+            next.currentPlayer = GameState.getOpponent(next.currentPlayer);
+        }
+
+        if (details) {
+            details.bonusTurn = next.bonusTurn;
+        }
+
+        GameState.settleGameEnd(next);
+        return next;
+    }
+
+    /**
+     * Simplified sowing: a single lap, then capture around an empty opponent pit
+     * @param {Object} next - State being built (modified in place)
+     * @param {number} pitIndex - The pit to sow from
+     * @param {Object|null} details - Move details to fill, if recording
+     * @returns {number} - The pit where the last stone landed
+     */
+    static sowSimplified(next, pitIndex, details) {
+        const { board, config } = next;
+        let stonesInHand = board[pitIndex];
+        let currentPit = pitIndex;
+        board[pitIndex] = 0;
+
+        // Distribute stones counter-clockwise
+        while (stonesInHand > 0) {
+            currentPit = config.nextPit[currentPit];
+            board[currentPit]++;
+            stonesInHand--;
+            if (details) details.path.push(currentPit);
+        }
+
+        // Capture only occurs if last stone lands in opponent's empty pit
+        if (GameState.getPitOwner(config, currentPit) !== next.currentPlayer && board[currentPit] === 1) {
+            // Capture the stones in the open neighbours on either side
+            const left = (currentPit - 1 + config.pitCount) % config.pitCount;
+            const right = (currentPit + 1) % config.pitCount;
+            let captured = 0;
+
+            for (const adjPit of [left, right]) {
+                if (!config.blocked[adjPit] && board[adjPit] > 0) {
+                    captured += board[adjPit];
+                    GameState.capture(next, adjPit, next.currentPlayer, 'capture', details);
+                }
+            }
+
+            // Also capture the pit where the stone landed
+            if (captured > 0) {
+                GameState.capture(next, currentPit, next.currentPlayer, 'capture', details);
+            }
+        }
+
+        return currentPit;
+    }
+
+    /**
+     * Traditional relay sowing
+     * After the last stone, the stones of the following pit are picked up and sowing
+     * continues. When the following pit is empty, the pit beyond it is captured and
+     * the turn ends. Any pit reaching four stones during sowing is taken as "pasu"
+     * by the owner of that pit. A chain still relaying after MAX_RELAY_LAPS laps puts
+     * the stones in hand back where they were picked up, so no seeds are lost.
+     * @param {Object} next - State being built (modified in place)
+     * @param {number} pitIndex - The pit to sow from
+     * @param {Object|null} details - Move details to fill, if recording
+     * @returns {number} - The pit where the last stone landed
+     */
+    static sowTraditional(next, pitIndex, details) {
+        const { board, config } = next;
+        let stonesInHand = board[pitIndex];
+        let currentPit = pitIndex;
+        board[pitIndex] = 0;
+
+        for (let lap = 0; lap < MAX_RELAY_LAPS; lap++) {
+            while (stonesInHand > 0) {
+                currentPit = config.nextPit[currentPit];
+                board[currentPit]++;
+                stonesInHand--;
+                if (details) details.path.push(currentPit);
+
+                if (config.rules.pasu && board[currentPit] === 4) {
+                    GameState.capture(next, currentPit, GameState.getPitOwner(config, currentPit), 'pasu', details);
+                }
+            }
+
+            const nextPit = config.nextPit[currentPit];
+            if (board[nextPit] > 0) {
+                // Relay: pick up the following pit and keep sowing
+                stonesInHand = board[nextPit];
+                board[nextPit] = 0;
+                currentPit = nextPit;
+                if (details) details.relays.push(nextPit);
+                continue;
+            }
+
+            // The following pit is empty: capture the pit beyond it
+            const beyondPit = config.nextPit[nextPit];
+            if (board[beyondPit] > 0) {
+                GameState.capture(next, beyondPit, next.currentPlayer, 'capture', details);
+            }
+            break;
+        }
+
+        // Chain cut off at the lap limit: return the last pit picked up
+        if (stonesInHand > 0) {
+            board[currentPit] += stonesInHand;
+        }
+
+        return currentPit;
+    }
+
+    /**
+     * Empty a pit into a side's store
+     * @param {Object} next - State being built (modified in place)
+     * @param {number} pit - Pit to empty
+     * @param {string} by - Side taking the stones
+     * @param {string} type - 'capture' or 'pasu'
+     * @param {Object|null} details - Move details to fill, if recording
+     */
+    static capture(next, pit, by, type, details) {
+        const stones = next.board[pit];
+        next.board[pit] = 0;
+
+        if (by === 'player') {
+            next.playerScore += stones;
+        } else {
+            next.aiScore += stones;
+        }
+        if (by === next.currentPlayer) {
+            next.lastCaptured += stones;
+        }
+        if (details) {
+            details.captures.push({ pit: pit, stones: stones, by: by, type: type });
+        }
+    }
+
+    /**
+     * End the game when either row is empty
+     * Remaining stones go to the owner of their row.
+     * @param {Object} next - State being built (modified in place)
+     */
+    static settleGameEnd(next) {
+        const remainingPlayerStones = GameState.getRowStones(next, 'player');
+        const remainingAiStones = GameState.getRowStones(next, 'ai');
+
+        if (remainingPlayerStones > 0 && remainingAiStones > 0) return;
+
+        next.gameOver = true;
+        next.playerScore += remainingPlayerStones;
+        next.aiScore += remainingAiStones;
+
+        if (next.playerScore > next.aiScore) {
+            next.winner = 'player';
+        } else if (next.aiScore > next.playerScore) {
+            next.winner = 'ai';
+        } else {
+            next.winner = 'tie';
+        }
+    }
+}
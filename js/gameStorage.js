@@ -0,0 +1,233 @@
+/**
+ * Game Storage for Pallanguzhi
+ * Keeps an autosave of the game in progress and named save slots in localStorage
+ *
+ * A save is a snapshot object:
+ *
+ *   {
+ *     version: 1,
+ *     name: 'Sunday game',            // slot name ('' for the autosave)
+ *     savedAt: '2026-10-19T10:00:00.000Z',
+ *     record: '[Event "Pallanguzhi"] ...',  // GameRecord text: setup, moves, scores and turn
+ *     difficulty: 'medium',
+ *     adaptiveSkill: false,            // skill level follows the player's results
+ *     hintBudget: 3,                   // hints each side may take per game (null for no limit)
+ *     hintsUsed: { player: 1, ai: 0 }, // hints taken so far this game
+ *     language: 'en',                  // language of AI explanations and hints ('en' or 'ta')
+ *     showThreats: false,              // threat overlay on the board
+ *     showEvaluation: false,           // evaluation bar beside the score board
+ *     showAIExplanations: true,
+ *     match: null,                     // PallanguzhiMatch.getMatchState() in match play
+ *     hotSeat: false,                  // two people playing on one device
+ *     playerNames: { player: 'South', ai: 'North' }
+ *   }
+ *
+ * The record is replayed on load, so the board, scores, move history and side to move
+ * are rebuilt by the rules engine rather than trusted from storage.
+ */
+
+const STORAGE_VERSION = 1;
+const AUTOSAVE_KEY = 'pallanguzhi.autosave';
+const SLOTS_KEY = 'pallanguzhi.slots';
+
+class GameStorage {
+    /**
+     * @param {Storage|null} storage - Web Storage to use (defaults to window.localStorage when available)
+     */
+    constructor(storage) {
+        this.storage = storage !== undefined ? storage : GameStorage.getBrowserStorage();
+    }
+
+    /**
+     * Get localStorage, or null when the browser refuses access (private mode, file:// pages)
+     * @returns {Storage|null}
+     */
+    static getBrowserStorage() {
+        try {
+            const storage = window.localStorage;
+            const probe = `${AUTOSAVE_KEY}.probe`;
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check if saves can be written
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.storage !== null;
+    }
+
+    /**
+     * Build a snapshot of a game
+     * @param {PallanguzhiGame} game - Game to save
+     * @param {Object} settings - { name, difficulty, adaptiveSkill, hintBudget, hintsUsed, language,
+     *     showAIExplanations, showThreats, showEvaluation, match, hotSeat, playerNames }
+     * @returns {Object} - Snapshot
+     */
+    static createSnapshot(game, settings = {}) {
+        const headers = settings.hotSeat ?
+            { South: settings.playerNames.player, North: settings.playerNames.ai } :
+            { Difficulty: settings.difficulty };
+
+        return {
+            version: STORAGE_VERSION,
+            name: settings.name || '',
+            savedAt: new Date().toISOString(),
+            record: game.exportRecord(headers),
+            difficulty: settings.difficulty,
+            adaptiveSkill: Boolean(settings.adaptiveSkill),
+            hintBudget: Number.isInteger(settings.hintBudget) ? settings.hintBudget : null,
+            hintsUsed: settings.hintsUsed ? { ...settings.hintsUsed } : { player: 0, ai: 0 },
+            language: settings.language || 'en',
+            showAIExplanations: settings.showAIExplanations !== false,
+            showThreats: Boolean(settings.showThreats),
+            showEvaluation: Boolean(settings.showEvaluation),
+            match: settings.match || null,
+            hotSeat: Boolean(settings.hotSeat),
+            playerNames: settings.playerNames || null
+        };
+    }
+
+    /**
+     * Check that a stored value is a snapshot this version can load
+     * @param {Object} snapshot - Parsed snapshot
+     * @returns {boolean}
+     */
+    static isValidSnapshot(snapshot) {
+        return Boolean(snapshot) &&
+            snapshot.version === STORAGE_VERSION &&
+            typeof snapshot.record === 'string';
+    }
+
+    /**
+     * Save the game in progress
+     * @param {Object} snapshot - Snapshot to keep
+     * @returns {boolean} - Whether the save was written
+     */
+    saveAutosave(snapshot) {
+        return this.write(AUTOSAVE_KEY, snapshot);
+    }
+
+    /**
+     * Load the autosaved game
+     * @returns {Object|null} - Snapshot, or null when there is none
+     */
+    loadAutosave() {
+        const snapshot = this.read(AUTOSAVE_KEY);
+        return GameStorage.isValidSnapshot(snapshot) ? snapshot : null;
+    }
+
+    /**
+     * Forget the autosaved game
+     */
+    clearAutosave() {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(AUTOSAVE_KEY);
+        } catch (error) {
+            // Nothing to clear if storage has gone away
+        }
+    }
+
+    /**
+     * List the named save slots, newest first
+     * @returns {Array} - [{ name, savedAt }]
+     */
+    listSlots() {
+        return Object.values(this.readSlots())
+            .map(snapshot => ({ name: snapshot.name, savedAt: snapshot.savedAt }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Save a game under a name, replacing any slot with the same name
+     * @param {string} name - Slot name
+     * @param {Object} snapshot - Snapshot to keep
+     */
+    saveSlot(name, snapshot) {
+        const slotName = name.trim();
+        if (!slotName) {
+            throw new Error('Give the save a name');
+        }
+
+        const slots = this.readSlots();
+        slots[slotName] = { ...snapshot, name: slotName };
+        if (!this.write(SLOTS_KEY, slots)) {
+            throw new Error('Browser storage is unavailable or full');
+        }
+    }
+
+    /**
+     * Load a named save
+     * @param {string} name - Slot name
+     * @returns {Object} - Snapshot
+     */
+    loadSlot(name) {
+        const snapshot = this.readSlots()[name];
+        if (!snapshot) {
+            throw new Error(`No save named "${name}"`);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Delete a named save
+     * @param {string} name - Slot name
+     */
+    deleteSlot(name) {
+        const slots = this.readSlots();
+        delete slots[name];
+        this.write(SLOTS_KEY, slots);
+    }
+
+    /**
+     * Read all loadable slots
+     * @returns {Object} - Snapshots keyed by slot name
+     */
+    readSlots() {
+        const slots = this.read(SLOTS_KEY) || {};
+        const valid = {};
+        for (const [name, snapshot] of Object.entries(slots)) {
+            if (GameStorage.isValidSnapshot(snapshot)) {
+                valid[name] = snapshot;
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Read and parse a stored value
+     * @param {string} key - Storage key
+     * @returns {*} - Parsed value, or null when missing or unreadable
+     */
+    read(key) {
+        if (!this.storage) return null;
+        try {
+            const text = this.storage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Serialize and store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} - Whether the value was written
+     */
+    write(key, value) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
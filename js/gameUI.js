@@ -8,10 +8,34 @@ class PallanguzhiUI {
         this.game = game;
         this.ai = ai;
         this.showAIExplanations = true;
+        this.showThreats = false; // Mark capture dangers, capture chances and bonus moves on the board
         this.animationInProgress = false;
+        this.match = null; // PallanguzhiMatch when playing a multi-round match
+        this.hotSeat = false; // Two people take turns on one device; the AI only gives hints
+        this.playerNames = { player: 'South', ai: 'North' }; // Names used in hot-seat play
+        this.aiSearch = new AISearchClient(ai); // Runs AI searches off the main thread
+        this.aiTurnToken = 0; // Bumped to cancel the AI turn in progress or scheduled
+        this.aiThinking = false;
+        this.thinkingTimer = null;
+        this.thinkingProgress = null; // Depth and node count of the search so far
+        this.setupMode = false;
+        this.setupDraft = null; // Position being edited in setup mode
+        this.animationSpeed = 1; // Multiplier for sowing and capture animations
+        this.replayReturn = null; // Status text to restore when the replay closes
+        this.storage = new GameStorage();
+        this.pendingResume = null; // Autosave offered for resuming at start-up
+        this.hintBudget = null; // Hints each side may take per game (null for no limit)
+        this.hintsUsed = { player: 0, ai: 0 };
+        this.hintTimer = null;
+        this.hintPit = null; // Pit highlighted by the hint on show
         
         this.initializeElements();
+        this.replay = new ReplayViewer(this);
+        this.analysis = new AnalysisPanel(this);
+        this.evaluationBar = new EvaluationBar(this);
         this.attachEventListeners();
+        this.refreshSaveSlots();
+        this.offerResume();
         this.updateDisplay();
     }
 
@@ -21,24 +45,116 @@ class PallanguzhiUI {
     initializeElements() {
         // Game controls
         this.difficultySelect = document.getElementById('difficulty');
+        this.adaptiveSkillToggle = document.getElementById('adaptive-skill');
+        this.ruleSetSelect = document.getElementById('rule-set');
+        this.boardVariantSelect = document.getElementById('board-variant');
+        this.playFormatSelect = document.getElementById('play-format');
+        this.opponentSelect = document.getElementById('opponent');
+        this.playerNamesEl = document.getElementById('player-names');
+        this.southNameEl = document.getElementById('south-name');
+        this.northNameEl = document.getElementById('north-name');
+        this.nextRoundBtn = document.getElementById('next-round');
         this.newGameBtn = document.getElementById('new-game');
         this.hintBtn = document.getElementById('hint-btn');
+        this.hintBudgetSelect = document.getElementById('hint-budget');
+        this.languageSelect = document.getElementById('explanation-language');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.setupBtn = document.getElementById('setup-btn');
+        this.replayBtn = document.getElementById('replay-btn');
         this.aiExplanationToggle = document.getElementById('ai-explanation-toggle');
+        this.threatsToggle = document.getElementById('threats-toggle');
+        this.evaluationToggle = document.getElementById('evaluation-toggle');
         
         // Score display
         this.playerScoreEl = document.getElementById('player-score');
         this.aiScoreEl = document.getElementById('ai-score');
+        this.playerLabelEl = document.getElementById('player-label');
+        this.aiLabelEl = document.getElementById('ai-label');
+        this.aiThinkingEl = document.getElementById('ai-thinking');
         
         // Game status
         this.currentPlayerEl = document.getElementById('current-player');
         this.gameMessageEl = document.getElementById('game-message');
         this.aiExplanationEl = document.getElementById('ai-explanation');
         this.hintMessageEl = document.getElementById('hint-message');
+        this.matchInfoEl = document.getElementById('match-info');
+        
+        // Game record panel
+        this.recordTextEl = document.getElementById('record-text');
+        this.exportRecordBtn = document.getElementById('export-record');
+        this.importRecordBtn = document.getElementById('import-record');
+        
+        // Saved games
+        this.resumeOfferEl = document.getElementById('resume-offer');
+        this.resumeTextEl = document.getElementById('resume-text');
+        this.saveNameEl = document.getElementById('save-name');
+        this.saveSlotsEl = document.getElementById('save-slots');
+        this.saveSlotBtn = document.getElementById('save-slot');
+        this.loadSlotBtn = document.getElementById('load-slot');
+        this.deleteSlotBtn = document.getElementById('delete-slot');
+        
+        // Board setup editor
+        this.setupPanelEl = document.getElementById('setup-panel');
+        this.setupPlayerStoreEl = document.getElementById('setup-player-store');
+        this.setupAiStoreEl = document.getElementById('setup-ai-store');
+        this.setupSideEl = document.getElementById('setup-side');
+        this.setupPositionEl = document.getElementById('setup-position');
+        this.setupStatusEl = document.getElementById('setup-status');
         
         // Game board
+        this.boardEl = document.querySelector('.game-board');
+        this.aiRowEl = document.querySelector('.ai-row');
+        this.playerRowEl = document.querySelector('.player-row');
+        this.renderBoard();
+    }
+
+    /**
+     * Build the pit elements from the game's board spec
+     * The AI row is drawn right-to-left so sowing runs counter-clockwise on screen.
+     */
+    renderBoard() {
+        const pitsPerRow = this.game.pitsPerRow;
+        this.aiRowEl.innerHTML = '';
+        this.playerRowEl.innerHTML = '';
+
+        for (let i = 0; i < pitsPerRow; i++) {
+            this.playerRowEl.appendChild(this.createPitElement(i, 'player-pit'));
+            this.aiRowEl.appendChild(this.createPitElement(pitsPerRow * 2 - 1 - i, 'ai-pit'));
+        }
+
+        this.boardEl.dataset.pitsPerRow = pitsPerRow;
         this.pits = document.querySelectorAll('.pit');
         this.playerPits = document.querySelectorAll('.player-pit');
         this.aiPits = document.querySelectorAll('.ai-pit');
+
+        // Pit clicks; AI-row pits only play in hot-seat mode
+        this.pits.forEach(pit => {
+            pit.addEventListener('click', (e) => this.handlePlayerMove(e));
+        });
+
+        // Setup mode edits every pit: click adds a seed, Shift+click or right-click removes one
+        this.pits.forEach(pit => {
+            pit.addEventListener('click', (e) => this.handleSetupClick(e, e.shiftKey ? -1 : 1));
+            pit.addEventListener('contextmenu', (e) => {
+                if (!this.setupMode) return;
+                e.preventDefault();
+                this.handleSetupClick(e, -1);
+            });
+        });
+    }
+
+    /**
+     * Create a single pit element
+     * @param {number} pitIndex - Board index of the pit
+     * @param {string} rowClass - 'player-pit' or 'ai-pit'
+     * @returns {HTMLElement} - The pit element
+     */
+    createPitElement(pitIndex, rowClass) {
+        const pit = document.createElement('div');
+        pit.className = `pit ${rowClass}`;
+        pit.dataset.pit = pitIndex;
+        return pit;
     }
 
     /**
@@ -48,17 +164,44 @@ class PallanguzhiUI {
         // Game controls
         this.newGameBtn.addEventListener('click', () => this.startNewGame());
         this.hintBtn.addEventListener('click', () => this.showHint());
+        this.undoBtn.addEventListener('click', () => this.undoMove());
+        this.redoBtn.addEventListener('click', () => this.redoMove());
+        this.replayBtn.addEventListener('click', () => this.openReplay());
         this.aiExplanationToggle.addEventListener('click', () => this.toggleAIExplanations());
+        this.threatsToggle.addEventListener('click', () => this.toggleThreats());
+        this.evaluationToggle.addEventListener('click', () => this.toggleEvaluation());
         
-        this.difficultySelect.addEventListener('change', (e) => {
-            this.ai.setDifficulty(e.target.value);
-            this.showMessage(`Difficulty changed to ${e.target.value}`);
-        });
+        this.difficultySelect.addEventListener('change', (e) => this.changeDifficulty(e.target.value));
+        this.adaptiveSkillToggle.addEventListener('change', (e) => this.toggleAdaptiveSkill(e.target.checked));
 
-        // Player pit clicks
-        this.playerPits.forEach(pit => {
-            pit.addEventListener('click', (e) => this.handlePlayerMove(e));
-        });
+        this.ruleSetSelect.addEventListener('change', (e) => this.changeRuleSet(e.target.value));
+        this.boardVariantSelect.addEventListener('change', (e) => this.changeBoardVariant(e.target.value));
+        this.playFormatSelect.addEventListener('change', (e) => this.changePlayFormat(e.target.value));
+        this.opponentSelect.addEventListener('change', (e) => this.changeOpponent(e.target.value));
+        this.hintBudgetSelect.addEventListener('change', (e) => this.changeHintBudget(e.target.value));
+        this.languageSelect.addEventListener('change', (e) => this.changeLanguage(e.target.value));
+        this.southNameEl.addEventListener('input', () => this.updatePlayerNames());
+        this.northNameEl.addEventListener('input', () => this.updatePlayerNames());
+        this.nextRoundBtn.addEventListener('click', () => this.startNextRound());
+        this.exportRecordBtn.addEventListener('click', () => this.exportRecord());
+        this.importRecordBtn.addEventListener('click', () => this.importRecord());
+
+        // Saved games
+        document.getElementById('resume-game').addEventListener('click', () => this.resumeGame());
+        document.getElementById('discard-save').addEventListener('click', () => this.discardAutosave());
+        this.saveSlotBtn.addEventListener('click', () => this.saveToSlot());
+        this.loadSlotBtn.addEventListener('click', () => this.loadFromSlot());
+        this.deleteSlotBtn.addEventListener('click', () => this.deleteSaveSlot());
+
+        // Board setup editor
+        this.setupBtn.addEventListener('click', () => this.toggleSetupMode());
+        this.setupPlayerStoreEl.addEventListener('input', () => this.updateSetupDraft());
+        this.setupAiStoreEl.addEventListener('input', () => this.updateSetupDraft());
+        this.setupSideEl.addEventListener('change', () => this.updateSetupDraft());
+        document.getElementById('setup-load-position').addEventListener('click', () => this.loadSetupPosition());
+        document.getElementById('setup-start').addEventListener('click', () => this.startFromSetup());
+        document.getElementById('setup-clear').addEventListener('click', () => this.clearSetup());
+        document.getElementById('setup-cancel').addEventListener('click', () => this.cancelSetupMode());
 
         // Keyboard support
         document.addEventListener('keydown', (e) => this.handleKeyPress(e));
@@ -69,11 +212,15 @@ class PallanguzhiUI {
      * @param {Event} e - Click event
      */
     handlePlayerMove(e) {
-        if (this.animationInProgress || this.game.gameOver || this.game.currentPlayer !== 'player') {
+        if (this.setupMode || this.replay.active || this.animationInProgress ||
+            this.game.gameOver || !this.isHumanTurn()) {
             return;
         }
 
         const pitIndex = parseInt(e.target.dataset.pit);
+        if (!this.game.isOwnPit(pitIndex)) {
+            return;
+        }
         
         if (this.game.isValidMove(pitIndex)) {
             this.executePlayerMove(pitIndex);
@@ -90,13 +237,19 @@ class PallanguzhiUI {
         this.animationInProgress = true;
         this.hideMessages();
         
+        const mover = this.game.currentPlayer;
         const moveResult = this.game.makeMove(pitIndex);
         
         if (moveResult.success) {
             await this.animateMove(moveResult.moveDetails);
             
-            if (moveResult.captured > 0) {
-                this.showMessage(`You captured ${moveResult.captured} stones!`);
+            if (moveResult.moveDetails.captures.length > 0) {
+                // captured counts only the mover's seeds, even when a pasu went to the opponent first
+                if (moveResult.captured > 0) {
+                    this.showMessage(this.hotSeat ?
+                        `${this.getSideName(mover)} captured ${moveResult.captured} stones!` :
+                        `You captured ${moveResult.captured} stones!`);
+                }
                 await this.animateCapture(moveResult.moveDetails.captures);
             }
             
@@ -108,33 +261,42 @@ class PallanguzhiUI {
             
             if (moveResult.gameOver) {
                 this.handleGameEnd();
+                this.adaptSkill();
+            } else if (this.hotSeat) {
+                if (!moveResult.bonusTurn) {
+                    this.showMessage(`${this.getSideName(this.game.currentPlayer)}, your turn!`);
+                }
             } else if (this.game.currentPlayer === 'ai') {
                 // AI turn after a short delay
-                setTimeout(() => this.executeAIMove(), 1000);
+                this.scheduleAIMove(1000);
             }
         }
         
         this.animationInProgress = false;
+        this.updatePitStates();
+        this.updateHistoryButtons();
     }
 
     /**
      * Execute AI move with animation and explanation
      */
     async executeAIMove() {
-        if (this.game.gameOver || this.game.currentPlayer !== 'ai') {
+        if (this.setupMode || this.replay.active || this.hotSeat ||
+            this.game.gameOver || this.game.currentPlayer !== 'ai') {
             return;
         }
 
+        const token = this.aiTurnToken;
         this.animationInProgress = true;
         this.showMessage('AI is thinking...');
+        this.setAIThinking(true);
         
-        // Add thinking delay based on difficulty
-        const thinkingTime = this.ai.difficulty === 'hard' ? 2000 : 
-                           this.ai.difficulty === 'medium' ? 1500 : 1000;
-        
-        await this.delay(thinkingTime);
-        
-        const aiChoice = this.ai.chooseBestMove(this.game);
+        // The search runs in a worker within the difficulty's time budget; cancelAIMove resolves it early
+        const aiChoice = await this.aiSearch.chooseMove(this.game, progress => {
+            this.thinkingProgress = progress;
+        });
+        if (token !== this.aiTurnToken || aiChoice.cancelled) return;
+        this.setAIThinking(false);
         
         if (aiChoice.move !== null) {
             const moveResult = this.game.makeMove(aiChoice.move);
@@ -142,22 +304,24 @@ class PallanguzhiUI {
             if (moveResult.success) {
                 await this.animateMove(moveResult.moveDetails);
                 
-                if (moveResult.captured > 0) {
+                if (moveResult.moveDetails.captures.length > 0) {
                     await this.animateCapture(moveResult.moveDetails.captures);
                 }
+                if (token !== this.aiTurnToken) return;
                 
                 this.updateDisplay();
                 
                 // Show AI explanation
                 if (this.showAIExplanations) {
-                    this.showAIExplanation(aiChoice.explanation);
+                    this.showAIExplanation(aiChoice.explanation, aiChoice.search);
                 }
                 
                 if (moveResult.gameOver) {
                     this.handleGameEnd();
+                    this.adaptSkill();
                 } else if (moveResult.bonusTurn) {
                     this.showMessage('AI gets a bonus turn!');
-                    setTimeout(() => this.executeAIMove(), 1500);
+                    this.scheduleAIMove(1500);
                 } else {
                     this.showMessage('Your turn!');
                 }
@@ -165,6 +329,130 @@ class PallanguzhiUI {
         }
         
         this.animationInProgress = false;
+        this.updatePitStates();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Start the AI's turn after a pause, unless it is cancelled first
+     * @param {number} ms - Pause before the AI starts thinking
+     */
+    scheduleAIMove(ms) {
+        const token = this.aiTurnToken;
+        setTimeout(() => {
+            if (token === this.aiTurnToken) {
+                this.executeAIMove();
+            }
+        }, ms);
+    }
+
+    /**
+     * Cancel the AI turn in progress or scheduled, including a running search
+     * Used whenever the game the AI was thinking about is replaced.
+     */
+    cancelAIMove() {
+        this.aiTurnToken++;
+        this.aiSearch.cancel();
+        this.setAIThinking(false);
+        this.animationInProgress = false;
+    }
+
+    /**
+     * Show or hide the live "AI is thinking" indicator
+     * @param {boolean} thinking - Whether the AI is thinking
+     */
+    setAIThinking(thinking) {
+        this.aiThinking = thinking;
+        this.thinkingProgress = null;
+        clearInterval(this.thinkingTimer);
+        this.thinkingTimer = null;
+
+        if (!thinking) {
+            this.aiThinkingEl.classList.add('hidden');
+            return;
+        }
+
+        const startTime = Date.now();
+        const update = () => {
+            const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+            let text = `கணினி யோசிக்கிறது (AI is thinking) ${seconds}s`;
+            if (this.thinkingProgress && this.thinkingProgress.solved) {
+                text += ' · endgame solved';
+            } else if (this.thinkingProgress && this.thinkingProgress.engine === 'mcts') {
+                text += ` · ${this.thinkingProgress.nodes.toLocaleString()} playouts`;
+            } else if (this.thinkingProgress) {
+                text += ` · depth ${this.thinkingProgress.depth} · ${this.thinkingProgress.nodes.toLocaleString()} positions`;
+            }
+            this.aiThinkingEl.textContent = text;
+        };
+        update();
+        this.aiThinkingEl.classList.remove('hidden');
+        this.thinkingTimer = setInterval(update, 100);
+    }
+
+    /**
+     * Change the AI difficulty; a search in progress restarts at the new level
+     * @param {string} difficulty - Key of AI_DIFFICULTIES
+     */
+    changeDifficulty(difficulty) {
+        const restart = this.aiThinking;
+        if (restart) {
+            this.cancelAIMove();
+        }
+
+        this.ai.setDifficulty(difficulty);
+        this.ai.recentResults = [];
+        this.showMessage(`Difficulty changed to ${difficulty}`);
+        this.autosave();
+
+        if (restart) {
+            this.scheduleAIMove(0);
+        }
+    }
+
+    /**
+     * Turn adaptive skill on or off from the checkbox
+     * @param {boolean} enabled - Whether the skill level follows the player's results
+     */
+    toggleAdaptiveSkill(enabled) {
+        this.setAdaptiveSkill(enabled);
+        if (enabled && !this.ai.skill) {
+            this.showMessage('Adaptive skill works with the skill levels 1–10; choose one to start from');
+        } else {
+            this.showMessage(enabled ? 'Adaptive skill enabled' : 'Adaptive skill disabled');
+        }
+        this.autosave();
+    }
+
+    /**
+     * Turn adaptive skill on or off
+     * @param {boolean} enabled - Whether the skill level follows the player's results
+     */
+    setAdaptiveSkill(enabled) {
+        this.ai.adaptiveSkill = enabled;
+        this.ai.recentResults = [];
+        this.adaptiveSkillToggle.checked = enabled;
+    }
+
+    /**
+     * Let an adaptive skill level react to the game just finished
+     * Called when a game ends in play, not when a finished game is loaded.
+     */
+    adaptSkill() {
+        if (this.hotSeat) return;
+
+        const previous = this.ai.skill;
+        const level = this.ai.recordResult(this.game.winner);
+        if (level === null) return;
+
+        this.difficultySelect.value = this.ai.difficulty;
+        const note = document.createElement('div');
+        note.className = 'skill-change';
+        note.textContent = level > previous ?
+            `திறன் ${level} (Skill ${level}): the AI steps up after your recent wins.` :
+            `திறன் ${level} (Skill ${level}): the AI eases off after your recent results.`;
+        this.gameMessageEl.appendChild(note);
+        this.autosave();
     }
 
     /**
@@ -173,6 +461,7 @@ class PallanguzhiUI {
      */
     async animateMove(moveDetails) {
         const path = moveDetails.path;
+        this.clearThreats();
         
         for (let i = 1; i < path.length; i++) {
             const pitIndex = path[i];
@@ -181,7 +470,7 @@ class PallanguzhiUI {
             // Highlight the pit briefly
             pitElement.classList.add('highlighted');
             
-            await this.delay(200);
+            await this.delay(200 / this.animationSpeed);
             
             pitElement.classList.remove('highlighted');
             
@@ -199,7 +488,7 @@ class PallanguzhiUI {
             const pitElement = document.querySelector(`[data-pit="${capture.pit}"]`);
             pitElement.classList.add('capturing');
             
-            await this.delay(400);
+            await this.delay(400 / this.animationSpeed);
             
             pitElement.classList.remove('capturing');
             this.updatePitDisplay(capture.pit);
@@ -210,10 +499,256 @@ class PallanguzhiUI {
      * Update the entire display
      */
     updateDisplay() {
+        this.clearHint();
         this.updateBoard();
         this.updateScores();
         this.updateCurrentPlayer();
         this.updatePitStates();
+        this.updateMatchInfo();
+        this.updateNameLabels();
+        this.updateHistoryButtons();
+        this.updateHintButton();
+        this.updateThreats();
+        this.evaluationBar.update();
+        this.autosave();
+    }
+
+    /**
+     * Enable or disable the undo/redo and replay buttons
+     */
+    updateHistoryButtons() {
+        const usable = this.canUseHistory();
+        this.undoBtn.disabled = !usable || !this.game.canUndo();
+        this.redoBtn.disabled = !usable || !this.game.canRedo();
+        this.replayBtn.disabled = !this.canReplay();
+    }
+
+    /**
+     * Check if undo/redo may be used right now
+     * Only on the player's turn (or after a single game has ended), never mid-animation,
+     * and never once a match round has been scored.
+     * @returns {boolean}
+     */
+    canUseHistory() {
+        if (this.animationInProgress || this.setupMode || this.replay.active) return false;
+        if (this.game.gameOver) return !this.match;
+        return this.isHumanTurn();
+    }
+
+    /**
+     * Check if the replay viewer may be opened right now
+     * Same moments as undo/redo, except that a scored match round can still be watched.
+     * @returns {boolean}
+     */
+    canReplay() {
+        if (this.animationInProgress || this.setupMode || this.replay.active) return false;
+        if (!this.game.canUndo() && !this.game.canRedo()) return false;
+        return this.game.gameOver || this.isHumanTurn();
+    }
+
+    /**
+     * Open the replay viewer on the current game
+     * Other game controls are locked until the replay is closed.
+     */
+    openReplay() {
+        if (!this.canReplay()) return;
+
+        this.replayReturn = {
+            message: this.gameMessageEl.innerHTML,
+            currentPlayer: this.currentPlayerEl.textContent
+        };
+        this.setControlsLocked(true);
+        this.hideMessages();
+        this.replay.open();
+        this.showMessage('Replay: use the controls or ← → Home End, Space to play, Esc to close.');
+    }
+
+    /**
+     * Restore the game view after the replay viewer closes
+     */
+    onReplayClosed() {
+        this.setControlsLocked(false);
+        this.updateDisplay();
+
+        if (this.replayReturn) {
+            this.gameMessageEl.innerHTML = this.replayReturn.message;
+            this.currentPlayerEl.textContent = this.replayReturn.currentPlayer;
+            this.replayReturn = null;
+        }
+    }
+
+    /**
+     * Lock or unlock the controls that would change the game under the replay
+     * @param {boolean} locked - Whether the controls are locked
+     */
+    setControlsLocked(locked) {
+        [
+            this.newGameBtn, this.hintBtn, this.setupBtn, this.nextRoundBtn, this.importRecordBtn,
+            this.saveSlotBtn, this.loadSlotBtn, this.ruleSetSelect, this.boardVariantSelect, this.playFormatSelect,
+            this.opponentSelect
+        ].forEach(control => {
+            control.disabled = locked;
+        });
+    }
+
+    /**
+     * Take back the player's last move together with the AI's replies
+     * In hot-seat play a single move is taken back.
+     */
+    undoMove() {
+        if (!this.canUseHistory() || !this.game.canUndo()) return;
+
+        if (this.hotSeat) {
+            this.game.undo();
+        } else {
+            this.game.undoTurn('player');
+        }
+        this.analysis.close();
+        this.hideMessages();
+        this.updateDisplay();
+        this.announceTurn('Move taken back.');
+    }
+
+    /**
+     * Replay the player's undone move together with the AI's replies
+     * In hot-seat play a single move is replayed.
+     */
+    redoMove() {
+        if (!this.canUseHistory() || !this.game.canRedo()) return;
+
+        if (this.hotSeat) {
+            this.game.redo();
+        } else {
+            this.game.redoTurn('player');
+        }
+        this.hideMessages();
+        this.updateDisplay();
+
+        if (this.game.gameOver) {
+            this.handleGameEnd();
+        } else {
+            // With nothing left to redo for the AI, it plays on
+            this.announceTurn('Move replayed.');
+        }
+    }
+
+    /**
+     * Say whose move it is, starting the AI when it is to play
+     * @param {string} prefix - Sentence to show before the turn
+     */
+    announceTurn(prefix) {
+        if (this.hotSeat) {
+            this.showMessage(`${prefix} ${this.getSideName(this.game.currentPlayer)}, your turn!`);
+        } else if (this.game.currentPlayer === 'ai') {
+            this.showMessage(`${prefix} AI is thinking...`);
+            this.scheduleAIMove(1000);
+        } else {
+            this.showMessage(`${prefix} Your turn!`);
+        }
+    }
+
+    /**
+     * Check if the side to move is played by a person on this device
+     * @returns {boolean}
+     */
+    isHumanTurn() {
+        return this.hotSeat || this.game.currentPlayer === 'player';
+    }
+
+    /**
+     * Get the display name of a side
+     * @param {string} side - 'player' or 'ai'
+     * @returns {string} - Entered name in hot-seat play, otherwise 'You' or 'AI'
+     */
+    getSideName(side) {
+        if (this.hotSeat) return this.playerNames[side];
+        return side === 'player' ? 'You' : 'AI';
+    }
+
+    /**
+     * Get the name of a side in the language of AI explanations
+     * @param {string} side - 'player' or 'ai'
+     * @returns {string} - Entered name in hot-seat play, otherwise the language's word for you or the AI
+     */
+    getExplainedSideName(side) {
+        if (this.hotSeat) return this.playerNames[side];
+        return this.ai.explainer.text.sideNames[side];
+    }
+
+    /**
+     * Switch between playing the AI and two people on one device
+     * The game in progress carries on; the AI takes over the top row if it is its turn.
+     * @param {string} opponent - 'ai' or 'human'
+     */
+    changeOpponent(opponent) {
+        this.cancelAIMove();
+        this.setHotSeat(opponent === 'human');
+        this.hideMessages();
+        this.updateDisplay();
+
+        if (this.game.gameOver) return;
+        this.announceTurn(this.hotSeat ?
+            'Two-player game: take turns on this device. The AI gives hints on request.' :
+            'Playing against the AI.');
+    }
+
+    /**
+     * Turn hot-seat play on or off and sync the controls
+     * @param {boolean} enabled - Whether two people play on this device
+     */
+    setHotSeat(enabled) {
+        this.hotSeat = enabled;
+        this.opponentSelect.value = enabled ? 'human' : 'ai';
+        this.playerNamesEl.classList.toggle('hidden', !enabled);
+        this.boardEl.classList.toggle('hot-seat', enabled);
+        this.updateNameLabels();
+    }
+
+    /**
+     * Read the names typed in for hot-seat play
+     */
+    updatePlayerNames() {
+        this.playerNames = {
+            player: this.southNameEl.value.trim() || 'South',
+            ai: this.northNameEl.value.trim() || 'North'
+        };
+        this.updateDisplay();
+    }
+
+    /**
+     * Set both players' names
+     * @param {Object} names - { player, ai }
+     */
+    setPlayerNames(names) {
+        this.southNameEl.value = names.player;
+        this.northNameEl.value = names.ai;
+        this.playerNames = { ...names };
+        this.updateNameLabels();
+    }
+
+    /**
+     * Label the score board with the players' names
+     */
+    updateNameLabels() {
+        this.playerLabelEl.textContent = this.hotSeat ? this.playerNames.player : 'நீங்கள் (You)';
+        this.aiLabelEl.textContent = this.hotSeat ? this.playerNames.ai : 'கணினி (AI)';
+    }
+
+    /**
+     * Update the match standing (round, holdings and blocked pits)
+     */
+    updateMatchInfo() {
+        if (!this.match) {
+            this.matchInfoEl.classList.add('hidden');
+            return;
+        }
+
+        const state = this.match.getMatchState();
+        this.matchInfoEl.textContent =
+            `சுற்று (Round) ${state.round} · ` +
+            `You: ${state.holdings.player} seeds · AI: ${state.holdings.ai} seeds · ` +
+            `Blocked pits: ${state.blockedPits.length}`;
+        this.matchInfoEl.classList.remove('hidden');
     }
 
     /**
@@ -234,6 +769,7 @@ class PallanguzhiUI {
         const pitElement = document.querySelector(`[data-pit="${pitIndex}"]`);
         const stones = this.game.board[pitIndex];
         pitElement.textContent = stones;
+        pitElement.classList.toggle('blocked', this.game.isPitBlocked(pitIndex));
         
         // Add visual feedback for empty pits
         if (stones === 0) {
@@ -255,12 +791,19 @@ class PallanguzhiUI {
      * Update current player display
      */
     updateCurrentPlayer() {
+        // Light up the row whose turn it is
+        const turn = this.game.gameOver ? null : this.game.currentPlayer;
+        this.playerRowEl.classList.toggle('active-row', turn === 'player');
+        this.aiRowEl.classList.toggle('active-row', turn === 'ai');
+
         if (this.game.gameOver) {
             this.currentPlayerEl.textContent = 'Game Over';
             return;
         }
 
-        if (this.game.currentPlayer === 'player') {
+        if (this.hotSeat) {
+            this.currentPlayerEl.textContent = `${this.getSideName(this.game.currentPlayer)} முறை (${this.getSideName(this.game.currentPlayer)}'s Turn)`;
+        } else if (this.game.currentPlayer === 'player') {
             this.currentPlayerEl.textContent = 'உங்கள் முறை (Your Turn)';
         } else {
             this.currentPlayerEl.textContent = 'கணினி முறை (AI Turn)';
@@ -271,11 +814,12 @@ class PallanguzhiUI {
      * Update pit states (enabled/disabled)
      */
     updatePitStates() {
-        this.playerPits.forEach(pit => {
+        this.pits.forEach(pit => {
             const pitIndex = parseInt(pit.dataset.pit);
-            const isValid = this.game.currentPlayer === 'player' && 
+            const isValid = this.isHumanTurn() && 
                            this.game.isValidMove(pitIndex) && 
-                           !this.animationInProgress;
+                           !this.animationInProgress &&
+                           !this.replay.active;
             
             if (isValid) {
                 pit.classList.remove('disabled');
@@ -294,93 +838,913 @@ class PallanguzhiUI {
         this.gameMessageEl.style.display = 'block';
     }
 
+    /**
+     * Show the result of a game or match round
+     * Built as text, since it may hold the names typed in for hot-seat play.
+     * @param {string} message - Message to show
+     */
+    showGameOverMessage(message) {
+        const result = document.createElement('div');
+        result.className = 'game-over';
+        result.textContent = message;
+        this.gameMessageEl.textContent = '';
+        this.gameMessageEl.appendChild(result);
+    }
+
     /**
      * Show AI explanation
      * @param {string} explanation - AI move explanation
+     * @param {Object} search - Search report (depth, nodes, time), if the move was searched
      */
-    showAIExplanation(explanation) {
+    showAIExplanation(explanation, search = null) {
         if (!this.showAIExplanations) return;
         
+        let searchInfo = '';
+        if (search && search.book) {
+            searchInfo = '<p class="search-info">Opening book move · no search needed</p>';
+        } else if (search && search.solved) {
+            searchInfo = `<p class="search-info">Endgame solved exactly · ${search.nodes.toLocaleString()} positions · ${(search.time / 1000).toFixed(2)}s</p>`;
+        } else if (search && search.engine === 'mcts') {
+            searchInfo = `<p class="search-info">Monte Carlo search · ${search.nodes.toLocaleString()} playouts · ${(search.time / 1000).toFixed(2)}s</p>`;
+        } else if (search) {
+            searchInfo = `<p class="search-info">Searched ${search.depth} moves ahead · ${search.nodes.toLocaleString()} positions · ${(search.time / 1000).toFixed(2)}s</p>`;
+        }
         this.aiExplanationEl.innerHTML = `
-            <h4>AI Move Explanation:</h4>
+            <h4>${this.ai.explainer.text.explanationTitle}</h4>
             <p>${explanation}</p>
+            ${searchInfo}
         `;
         this.aiExplanationEl.classList.remove('hidden');
     }
 
     /**
-     * Show hint for player
+     * Show hint for the side to move (either player in hot-seat play)
+     * The hint ranks the top pits, highlights the best one and numbers its expected
+     * continuation on the board. Each hint counts against the side's budget for the game.
+     * The search runs in the AI's worker with the thinking indicator shown, and the board
+     * waits for it as for an AI move; cancelAIMove drops it.
      */
-    showHint() {
-        if (this.game.currentPlayer !== 'player' || this.game.gameOver) {
+    async showHint() {
+        if (this.setupMode || !this.isHumanTurn() || this.game.gameOver) {
             this.showMessage('Hints are only available during your turn.');
             return;
         }
+        if (this.animationInProgress || this.replay.active) return;
+        if (this.getHintsLeft() === 0) {
+            this.showMessage(this.hintBudget === 0 ?
+                'Hints are turned off for this game.' :
+                `No hints left: ${this.hintBudget} per game.`);
+            return;
+        }
 
-        const hint = this.ai.suggestPlayerMove(this.game);
-        
-        if (hint.move !== null) {
-            // Highlight the suggested pit
-            const suggestedPit = document.querySelector(`[data-pit="${hint.move}"]`);
-            suggestedPit.classList.add('highlighted');
-            
-            setTimeout(() => {
-                suggestedPit.classList.remove('highlighted');
-            }, 3000);
-            
-            this.hintMessageEl.innerHTML = `
-                <strong>Hint:</strong> ${hint.explanation}
-            `;
-            this.hintMessageEl.classList.remove('hidden');
-            
-            // Hide hint after 5 seconds
-            setTimeout(() => {
-                this.hintMessageEl.classList.add('hidden');
-            }, 5000);
+        const token = this.aiTurnToken;
+        this.animationInProgress = true;
+        this.setAIThinking(true);
+        const hint = await this.aiSearch.suggestMove(this.game);
+        if (token !== this.aiTurnToken || hint.cancelled) return;
+        this.setAIThinking(false);
+        this.animationInProgress = false;
+        this.updatePitStates();
+        this.updateHistoryButtons();
+        if (hint.move === null) return;
+
+        this.clearHint();
+        this.hintsUsed[this.game.currentPlayer]++;
+        this.updateHintButton();
+
+        // Highlight the suggested pit and number the moves expected to follow
+        this.hintPit = document.querySelector(`[data-pit="${hint.move}"]`);
+        this.hintPit.classList.add('highlighted');
+        this.showHintLine(hint.line);
+
+        const text = this.ai.explainer.text;
+        const left = this.getHintsLeft();
+        this.hintMessageEl.innerHTML = `
+            <strong>${text.hintTitle}</strong> ${hint.explanation}
+            ${hint.line.length > 1 ? `<p class="hint-legend">${text.lineLegend}</p>` : ''}
+            ${left === Infinity ? '' : `<p class="hint-legend">${text.hintsLeft(left)}</p>`}
+        `;
+        this.hintMessageEl.classList.remove('hidden');
+
+        // Hide hint after 8 seconds
+        this.hintTimer = setTimeout(() => this.clearHint(), 8000);
+        this.autosave();
+    }
+
+    /**
+     * Number the moves of a hint's expected continuation on the board
+     * The mover's moves and the opponent's replies are marked in different colours; a pit
+     * played more than once shows each step.
+     * @param {Array<Object>} line - { player, move } from PallanguzhiAI.principalVariation
+     */
+    showHintLine(line) {
+        const mover = line[0].player;
+        line.forEach((step, i) => {
+            const pit = document.querySelector(`[data-pit="${step.move}"]`);
+            pit.dataset.hintStep = pit.dataset.hintStep ? `${pit.dataset.hintStep},${i + 1}` : String(i + 1);
+            pit.classList.add(step.player === mover ? 'hint-line-own' : 'hint-line-opponent');
+        });
+    }
+
+    /**
+     * Take the hint off the board and hide its message
+     */
+    clearHint() {
+        clearTimeout(this.hintTimer);
+        this.hintTimer = null;
+        if (this.hintPit) {
+            this.hintPit.classList.remove('highlighted');
+            this.hintPit = null;
         }
+        this.pits.forEach(pit => {
+            pit.classList.remove('hint-line-own', 'hint-line-opponent');
+            delete pit.dataset.hintStep;
+        });
+        this.hintMessageEl.classList.add('hidden');
+    }
+
+    /**
+     * Switch the language of AI explanations and hints
+     * @param {string} language - Key of EXPLANATION_LANGUAGES
+     */
+    changeLanguage(language) {
+        this.setLanguage(language);
+        this.showMessage(`${EXPLANATION_LANGUAGES[language]}: AI explanations and hints`);
+        this.autosave();
+    }
+
+    /**
+     * Set the language of AI explanations, hints, threat tooltips and the evaluation readout
+     * @param {string} language - Key of EXPLANATION_LANGUAGES
+     */
+    setLanguage(language) {
+        this.ai.explainer.setLanguage(language);
+        this.languageSelect.value = language;
+        this.updateThreats();
+        this.evaluationBar.update();
+    }
+
+    /**
+     * Change how many hints each side may take per game
+     * @param {string} value - Value of the hint budget select: '' for no limit, otherwise a count
+     */
+    changeHintBudget(value) {
+        this.setHintBudget(value === '' ? null : parseInt(value));
+        this.showMessage(this.hintBudget === null ? 'Unlimited hints' :
+            this.hintBudget === 0 ? 'Hints turned off' : `${this.hintBudget} hints per game`);
+        this.autosave();
+    }
+
+    /**
+     * Set how many hints each side may take per game
+     * @param {number|null} budget - Hints per side and game, or null for no limit
+     */
+    setHintBudget(budget) {
+        this.hintBudget = budget;
+        this.hintBudgetSelect.value = budget === null ? '' : String(budget);
+        this.updateHintButton();
+    }
+
+    /**
+     * Give both sides their full hint budget for a new game
+     */
+    resetHints() {
+        this.hintsUsed = { player: 0, ai: 0 };
+        this.updateHintButton();
+    }
+
+    /**
+     * Hints a side may still take this game
+     * @param {string} side - 'player' or 'ai'; defaults to the human side to move
+     * @returns {number} - Hints left, Infinity without a budget
+     */
+    getHintsLeft(side = this.hotSeat ? this.game.currentPlayer : 'player') {
+        if (this.hintBudget === null) return Infinity;
+        return Math.max(0, this.hintBudget - this.hintsUsed[side]);
+    }
+
+    /**
+     * Show the hints left on the hint button
+     */
+    updateHintButton() {
+        const left = this.getHintsLeft();
+        this.hintBtn.textContent = left === Infinity ? 'குறிப்பு (Hint)' : `குறிப்பு (Hint) · ${left}`;
     }
 
     /**
      * Toggle AI explanations on/off
      */
     toggleAIExplanations() {
-        this.showAIExplanations = !this.showAIExplanations;
+        this.setAIExplanations(!this.showAIExplanations);
+        this.showMessage(this.showAIExplanations ? 'AI explanations enabled' : 'AI explanations disabled');
+        this.autosave();
+    }
+
+    /**
+     * Turn AI explanations on or off
+     * @param {boolean} enabled - Whether explanations are shown
+     */
+    setAIExplanations(enabled) {
+        this.showAIExplanations = enabled;
         
-        if (this.showAIExplanations) {
+        if (enabled) {
             this.aiExplanationToggle.textContent = 'Hide AI Explanations';
-            this.showMessage('AI explanations enabled');
         } else {
             this.aiExplanationToggle.textContent = 'Show AI Explanations';
             this.aiExplanationEl.classList.add('hidden');
-            this.showMessage('AI explanations disabled');
         }
     }
 
+    /**
+     * Toggle the threat overlay on/off
+     */
+    toggleThreats() {
+        this.setThreats(!this.showThreats);
+        this.showMessage(this.showThreats ?
+            'Threats shown: red rings pits in danger, green marks captures, ★ marks bonus turns' :
+            'Threats hidden');
+        this.autosave();
+    }
+
+    /**
+     * Turn the threat overlay on or off
+     * @param {boolean} enabled - Whether threats are marked on the board
+     */
+    setThreats(enabled) {
+        this.showThreats = enabled;
+        this.threatsToggle.textContent = enabled ? 'Hide Threats' : 'Show Threats';
+        this.updateThreats();
+    }
+
+    /**
+     * Toggle the evaluation bar on/off
+     */
+    toggleEvaluation() {
+        this.setEvaluation(!this.evaluationBar.enabled);
+        this.showMessage(this.evaluationBar.enabled ? 'Evaluation bar shown' : 'Evaluation bar hidden');
+        this.autosave();
+    }
+
+    /**
+     * Show or hide the evaluation bar beside the score board
+     * @param {boolean} enabled - Whether the position is evaluated after every move
+     */
+    setEvaluation(enabled) {
+        this.evaluationToggle.textContent = enabled ? 'Hide Evaluation' : 'Show Evaluation';
+        this.evaluationBar.setEnabled(enabled);
+    }
+
+    /**
+     * Mark capture dangers and chances on the board, for the human side
+     * The engine plays out every move of both sides from the position: own pits the
+     * opponent could capture with its next move get a red ring and, while the side is to
+     * move, pits that capture if played now a green glow and pits that earn a bonus turn a
+     * star. Each marked pit's tooltip lists the seeds at stake, in the explanation language.
+     */
+    updateThreats() {
+        this.clearThreats();
+        if (!this.showThreats || this.setupMode || this.game.gameOver) return;
+
+        const state = this.game.toState();
+        const side = this.hotSeat ? this.game.currentPlayer : 'player';
+        const opponent = this.game.getOpponent(side);
+        const notes = new Map(); // Pit → { classes, lines }
+        const note = (pit, className, line) => {
+            if (!notes.has(pit)) notes.set(pit, { classes: new Set(), lines: [] });
+            notes.get(pit).classes.add(className);
+            notes.get(pit).lines.push(line);
+        };
+
+        // Own pits the opponent could capture, with the most it could take from each
+        const ownRow = (pit) => (pit < this.game.pitsPerRow) === (side === 'player');
+        const dangers = new Map();
+        for (const entry of MoveExplainer.listCaptures(state, opponent)) {
+            for (const capture of entry.captures.filter(capture => ownRow(capture.pit))) {
+                const danger = dangers.get(capture.pit) || { stones: 0, moves: [] };
+                danger.stones = Math.max(danger.stones, capture.stones);
+                danger.moves.push(this.game.getPitNumber(entry.move));
+                dangers.set(capture.pit, danger);
+            }
+        }
+        const text = this.ai.explainer.text;
+        const opponentName = this.getExplainedSideName(opponent);
+        for (const [pit, danger] of dangers) {
+            const moves = [...new Set(danger.moves)].sort((a, b) => a - b);
+            note(pit, 'threat-danger', text.threatDanger(text.seeds(danger.stones), text.anyPits(moves), opponentName));
+        }
+
+        // Chances are only marked while the side can take them, not on the opponent's turn
+        const chances = this.game.currentPlayer === side ? MoveExplainer.listCaptures(state, side) : [];
+        for (const entry of chances) {
+            if (entry.seeds > 0) {
+                note(entry.move, 'threat-capture', text.threatCapture(text.seeds(entry.seeds)));
+            }
+            if (entry.bonusTurn) {
+                note(entry.move, 'threat-bonus', text.threatBonus);
+            }
+        }
+
+        for (const [pit, { classes, lines }] of notes) {
+            const pitElement = document.querySelector(`[data-pit="${pit}"]`);
+            pitElement.classList.add(...classes);
+            pitElement.title = lines.join('\n');
+        }
+    }
+
+    /**
+     * Take the threat marks off the board
+     */
+    clearThreats() {
+        this.pits.forEach(pit => {
+            pit.classList.remove('threat-danger', 'threat-capture', 'threat-bonus');
+            pit.removeAttribute('title');
+        });
+    }
+
     /**
      * Hide all messages
      */
     hideMessages() {
         this.aiExplanationEl.classList.add('hidden');
-        this.hintMessageEl.classList.add('hidden');
+        this.clearHint();
     }
 
     /**
      * Start a new game
      */
     startNewGame() {
-        this.game.initializeGame();
+        this.cancelAIMove();
+        this.analysis.close();
+        if (this.setupMode) {
+            this.exitSetupMode();
+        }
+        if (this.match) {
+            this.match.startMatch();
+        } else {
+            this.game.initializeGame();
+        }
+        this.resetHints();
+        this.evaluationBar.reset();
+        this.nextRoundBtn.classList.add('hidden');
         this.hideMessages();
         this.updateDisplay();
         this.showMessage('New game started! Make your move.');
     }
 
+    /**
+     * Switch rule set and start a fresh game under it
+     * @param {string} ruleSet - Key of RULE_SETS
+     */
+    changeRuleSet(ruleSet) {
+        this.game.setRuleSet(ruleSet);
+        this.startNewGame();
+        this.showMessage(`${RULE_SETS[ruleSet].name} rules selected. New game started!`);
+    }
+
+    /**
+     * Switch board variant, redraw the board and start a fresh game on it
+     * @param {string} variant - Key of BOARD_SPECS
+     */
+    changeBoardVariant(variant) {
+        this.game.setBoardSpec(BOARD_SPECS[variant]);
+        this.renderBoard();
+        this.startNewGame();
+        this.showMessage(`${BOARD_SPECS[variant].name} board selected. New game started!`);
+    }
+
+    /**
+     * Switch between a single game and a multi-round match
+     * @param {string} format - 'single' or 'match'
+     */
+    changePlayFormat(format) {
+        this.match = format === 'match' ? new PallanguzhiMatch(this.game) : null;
+        this.startNewGame();
+        this.showMessage(format === 'match' ?
+            'Match started! Win seeds to keep all your pits open.' :
+            'Single game started! Make your move.');
+    }
+
+    /**
+     * Set up and start the next round of a match
+     */
+    startNextRound() {
+        if (!this.match || this.match.matchOver) return;
+
+        this.match.startRound();
+        this.analysis.close();
+        this.resetHints();
+        this.evaluationBar.reset();
+        this.nextRoundBtn.classList.add('hidden');
+        this.hideMessages();
+        this.updateDisplay();
+
+        this.announceTurn(`Round ${this.match.round}:`);
+    }
+
+    /**
+     * Open or close the board setup editor
+     */
+    toggleSetupMode() {
+        if (this.setupMode) {
+            this.cancelSetupMode();
+        } else {
+            this.enterSetupMode();
+        }
+    }
+
+    /**
+     * Enter setup mode, starting the draft from the position on the board
+     * An AI turn in progress or scheduled is cancelled; closing the editor restarts it.
+     */
+    enterSetupMode() {
+        if ((this.animationInProgress && !this.aiThinking) || this.replay.active) return;
+
+        this.cancelAIMove();
+        this.setupMode = true;
+        this.analysis.close();
+        this.setupDraft = {
+            board: [...this.game.board],
+            blockedPits: [],
+            playerScore: this.game.playerScore,
+            aiScore: this.game.aiScore,
+            currentPlayer: this.game.currentPlayer,
+            pitsPerRow: this.game.pitsPerRow
+        };
+
+        this.hideMessages();
+        this.clearThreats();
+        this.boardEl.classList.add('setup-mode');
+        this.setupPanelEl.classList.remove('hidden');
+        this.setupBtn.textContent = 'அமைப்பு மூடு (Close Setup)';
+        this.renderSetup();
+        this.updateHistoryButtons();
+        this.showMessage('Setup mode: arrange the seeds, then start from the position.');
+    }
+
+    /**
+     * Close the setup editor without changing the game, and carry on with the turn
+     */
+    cancelSetupMode() {
+        this.exitSetupMode();
+        if (!this.game.gameOver) {
+            this.announceTurn('Setup closed.');
+        }
+    }
+
+    /**
+     * Leave setup mode without changing the game
+     * Callers that keep playing the same game must restart the turn (see cancelSetupMode).
+     */
+    exitSetupMode() {
+        this.setupMode = false;
+        this.setupDraft = null;
+        this.boardEl.classList.remove('setup-mode');
+        this.setupPanelEl.classList.add('hidden');
+        this.setupBtn.textContent = 'அமைப்பு (Setup)';
+        this.updateDisplay();
+    }
+
+    /**
+     * Add or remove a seed in setup mode
+     * @param {Event} e - Click event on a pit
+     * @param {number} change - +1 to add a seed, -1 to remove one
+     */
+    handleSetupClick(e, change) {
+        if (!this.setupMode) return;
+
+        const pitIndex = parseInt(e.currentTarget.dataset.pit);
+        this.setupDraft.board[pitIndex] = Math.max(0, this.setupDraft.board[pitIndex] + change);
+        this.renderSetup();
+    }
+
+    /**
+     * Copy the store and side-to-move fields into the draft
+     */
+    updateSetupDraft() {
+        this.setupDraft.playerScore = parseInt(this.setupPlayerStoreEl.value) || 0;
+        this.setupDraft.aiScore = parseInt(this.setupAiStoreEl.value) || 0;
+        this.setupDraft.currentPlayer = this.setupSideEl.value;
+        this.renderSetup();
+    }
+
+    /**
+     * Empty every pit and store of the draft
+     */
+    clearSetup() {
+        this.setupDraft.board.fill(0);
+        this.setupDraft.playerScore = 0;
+        this.setupDraft.aiScore = 0;
+        this.renderSetup();
+    }
+
+    /**
+     * Replace the draft with the position typed into the position field
+     */
+    loadSetupPosition() {
+        let position;
+        try {
+            position = GameRecord.parsePosition(this.setupPositionEl.value);
+        } catch (error) {
+            this.setupStatusEl.textContent = error.message;
+            return;
+        }
+
+        if (position.pitsPerRow !== this.game.pitsPerRow) {
+            this.setupStatusEl.textContent =
+                `That position is for ${position.pitsPerRow} pits per row; choose that board first.`;
+            return;
+        }
+
+        this.setupDraft = { ...position, currentPlayer: position.firstPlayer };
+        this.renderSetup();
+    }
+
+    /**
+     * Show the draft on the board and in the setup fields, with its validation status
+     */
+    renderSetup() {
+        const draft = this.setupDraft;
+
+        this.pits.forEach(pit => {
+            const pitIndex = parseInt(pit.dataset.pit);
+            pit.textContent = draft.board[pitIndex];
+            pit.style.opacity = '1';
+            pit.classList.toggle('blocked', draft.blockedPits.includes(pitIndex));
+        });
+
+        this.setupPlayerStoreEl.value = draft.playerScore;
+        this.setupAiStoreEl.value = draft.aiScore;
+        this.setupSideEl.value = draft.currentPlayer;
+        this.setupPositionEl.value = GameRecord.formatPosition(draft);
+        this.playerScoreEl.textContent = draft.playerScore;
+        this.aiScoreEl.textContent = draft.aiScore;
+
+        const errors = GameRecord.validatePosition({ ...draft, firstPlayer: draft.currentPlayer }, this.game.spec);
+        const total = draft.board.reduce((sum, stones) => sum + stones, 0) + draft.playerScore + draft.aiScore;
+        this.setupStatusEl.textContent = errors.length > 0 ?
+            errors.join(' ') :
+            `Seeds: ${total} / ${this.game.spec.totalSeeds} ✓ Ready to play.`;
+        this.setupStatusEl.classList.toggle('invalid', errors.length > 0);
+    }
+
+    /**
+     * Validate the draft and start a single game from it
+     */
+    startFromSetup() {
+        const draft = this.setupDraft;
+        const errors = GameRecord.validatePosition({ ...draft, firstPlayer: draft.currentPlayer }, this.game.spec);
+        if (errors.length > 0) {
+            this.setupStatusEl.textContent = errors.join(' ');
+            this.setupStatusEl.classList.add('invalid');
+            return;
+        }
+
+        this.game.loadPosition(GameRecord.formatPosition(draft));
+        this.resetHints();
+        this.evaluationBar.reset();
+        this.match = null;
+        this.playFormatSelect.value = 'single';
+        this.nextRoundBtn.classList.add('hidden');
+        this.exitSetupMode();
+
+        this.announceTurn('Game started from the position.');
+    }
+
+    /**
+     * Write the current game into the record panel
+     */
+    exportRecord() {
+        const headers = this.hotSeat ?
+            { South: this.playerNames.player, North: this.playerNames.ai } :
+            { Difficulty: this.ai.difficulty };
+        this.recordTextEl.value = this.game.exportRecord(headers);
+        this.recordTextEl.select();
+        this.showMessage('Game record exported. Copy it to share or archive the game.');
+    }
+
+    /**
+     * Load the game from the record panel
+     * The record is checked on a scratch game first so a bad record leaves the current game alone.
+     */
+    importRecord() {
+        if ((this.animationInProgress && !this.aiThinking) || this.replay.active) return;
+
+        // Imported games are played as single games under the record's settings
+        try {
+            this.loadGameRecord(this.recordTextEl.value);
+        } catch (error) {
+            this.showMessage(`Could not import record: ${error.message}`);
+            return;
+        }
+
+        this.continueLoadedGame(`Record imported: ${this.game.moveHistory.length} moves replayed. Press Replay to watch them.`);
+    }
+
+    /**
+     * Replace the current game with one from a record and sync the controls to it
+     * The record is checked on a scratch game first so a bad record leaves the current game alone.
+     * @param {string} record - Record text
+     * @param {Object} matchState - Match the game is a round of (from getMatchState), or null for a single game
+     * @returns {Object} - Headers of the record
+     */
+    loadGameRecord(record, matchState = null) {
+        new PallanguzhiGame().importRecord(record);
+        this.cancelAIMove();
+        this.analysis.close();
+        const headers = this.game.importRecord(record);
+        this.resetHints();
+        this.evaluationBar.reset();
+
+        if (this.setupMode) {
+            this.exitSetupMode();
+        }
+        this.match = matchState ? new PallanguzhiMatch(this.game, matchState) : null;
+        this.playFormatSelect.value = this.match ? 'match' : 'single';
+        this.ruleSetSelect.value = this.game.ruleSet;
+        this.boardVariantSelect.value = this.game.spec.id;
+        const knownDifficulty = [...this.difficultySelect.options].some(option => option.value === headers.Difficulty);
+        if (knownDifficulty) {
+            this.difficultySelect.value = headers.Difficulty;
+            this.ai.setDifficulty(headers.Difficulty);
+        }
+
+        this.renderBoard();
+        this.hideMessages();
+        this.nextRoundBtn.classList.add('hidden');
+        this.updateDisplay();
+        return headers;
+    }
+
+    /**
+     * Pick up play after a game has been loaded
+     * A finished match round shows its summary once, however often it is saved and loaded.
+     * @param {string} message - Message to show when the game is still in progress
+     */
+    continueLoadedGame(message) {
+        if (this.game.gameOver) {
+            const roundScored = this.match && this.match.roundResults.length === this.match.round;
+            if (roundScored) {
+                this.showRoundSummary(this.match.roundResults[this.match.round - 1]);
+            } else {
+                this.handleGameEnd();
+            }
+            return;
+        }
+
+        this.announceTurn(message);
+    }
+
+    /**
+     * Build a save of the current game and settings
+     * @param {string} name - Slot name ('' for the autosave)
+     * @returns {Object} - Snapshot for GameStorage
+     */
+    createSnapshot(name = '') {
+        return GameStorage.createSnapshot(this.game, {
+            name: name,
+            difficulty: this.ai.difficulty,
+            adaptiveSkill: this.ai.adaptiveSkill,
+            hintBudget: this.hintBudget,
+            hintsUsed: this.hintsUsed,
+            showThreats: this.showThreats,
+            showEvaluation: this.evaluationBar.enabled,
+            language: this.ai.explainer.language,
+            showAIExplanations: this.showAIExplanations,
+            match: this.match ? this.match.getMatchState() : null,
+            hotSeat: this.hotSeat,
+            playerNames: this.playerNames
+        });
+    }
+
+    /**
+     * Load a saved game and its settings
+     * @param {Object} snapshot - Snapshot from GameStorage
+     * @returns {boolean} - Whether the save was loaded
+     */
+    restoreSnapshot(snapshot) {
+        if ((this.animationInProgress && !this.aiThinking) || this.replay.active) return false;
+
+        try {
+            this.loadGameRecord(snapshot.record, snapshot.match);
+        } catch (error) {
+            this.showMessage(`Could not load saved game: ${error.message}`);
+            return false;
+        }
+
+        this.setAIExplanations(snapshot.showAIExplanations);
+        this.setThreats(Boolean(snapshot.showThreats));
+        this.setEvaluation(Boolean(snapshot.showEvaluation));
+        this.setAdaptiveSkill(Boolean(snapshot.adaptiveSkill));
+        this.setHintBudget(Number.isInteger(snapshot.hintBudget) ? snapshot.hintBudget : null);
+        this.setLanguage(EXPLANATION_LANGUAGES[snapshot.language] ? snapshot.language : 'en');
+        if (snapshot.hintsUsed) {
+            this.hintsUsed = { player: snapshot.hintsUsed.player || 0, ai: snapshot.hintsUsed.ai || 0 };
+        }
+        if (snapshot.playerNames) {
+            this.setPlayerNames(snapshot.playerNames);
+        }
+        this.setHotSeat(Boolean(snapshot.hotSeat));
+        this.updateDisplay();
+        this.continueLoadedGame(`Game resumed: ${this.game.moveHistory.length} moves replayed.`);
+        return true;
+    }
+
+    /**
+     * Keep the game in progress in browser storage
+     * Called after every display update; finished games are removed from the autosave.
+     */
+    autosave() {
+        if (this.setupMode || this.replay.active) return;
+
+        // Keep an offered save until a move in the new game replaces it
+        if (this.pendingResume) {
+            if (this.game.moveHistory.length === 0) return;
+            this.dismissResumeOffer();
+        }
+
+        const finished = this.match ? this.match.matchOver : this.game.gameOver;
+        if (finished) {
+            this.storage.clearAutosave();
+        } else {
+            this.storage.saveAutosave(this.createSnapshot());
+        }
+    }
+
+    /**
+     * Offer to resume an unfinished game left in the autosave
+     */
+    offerResume() {
+        const snapshot = this.storage.loadAutosave();
+        if (!snapshot) return;
+
+        this.pendingResume = snapshot;
+        this.resumeTextEl.textContent =
+            `Unfinished game from ${new Date(snapshot.savedAt).toLocaleString()}. Resume it?`;
+        this.resumeOfferEl.classList.remove('hidden');
+    }
+
+    /**
+     * Resume the autosaved game
+     */
+    resumeGame() {
+        const snapshot = this.pendingResume;
+        if (!snapshot) return;
+
+        this.dismissResumeOffer();
+        if (!this.restoreSnapshot(snapshot)) {
+            this.storage.clearAutosave();
+        }
+    }
+
+    /**
+     * Throw away the autosaved game
+     */
+    discardAutosave() {
+        this.dismissResumeOffer();
+        this.storage.clearAutosave();
+        this.autosave();
+    }
+
+    /**
+     * Hide the resume offer
+     */
+    dismissResumeOffer() {
+        this.pendingResume = null;
+        this.resumeOfferEl.classList.add('hidden');
+    }
+
+    /**
+     * Save the current game under the name typed in the saves panel
+     */
+    saveToSlot() {
+        if (this.setupMode || this.replay.active) return;
+
+        const name = this.saveNameEl.value;
+        try {
+            this.storage.saveSlot(name, this.createSnapshot(name));
+        } catch (error) {
+            this.showMessage(`Could not save game: ${error.message}`);
+            return;
+        }
+
+        this.refreshSaveSlots(name.trim());
+        this.showMessage(`Game saved as "${name.trim()}".`);
+    }
+
+    /**
+     * Load the save selected in the saves panel
+     */
+    loadFromSlot() {
+        const name = this.saveSlotsEl.value;
+        if (!name) return;
+
+        let snapshot;
+        try {
+            snapshot = this.storage.loadSlot(name);
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+
+        this.dismissResumeOffer();
+        this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Delete the save selected in the saves panel
+     */
+    deleteSaveSlot() {
+        const name = this.saveSlotsEl.value;
+        if (!name) return;
+
+        this.storage.deleteSlot(name);
+        this.refreshSaveSlots();
+        this.showMessage(`Deleted save "${name}".`);
+    }
+
+    /**
+     * Fill the saves list from storage
+     * @param {string} selected - Slot to select afterwards
+     */
+    refreshSaveSlots(selected = '') {
+        const slots = this.storage.listSlots();
+
+        this.saveSlotsEl.innerHTML = '';
+        slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.name;
+            option.textContent = `${slot.name} (${new Date(slot.savedAt).toLocaleString()})`;
+            this.saveSlotsEl.appendChild(option);
+        });
+        if (selected) {
+            this.saveSlotsEl.value = selected;
+        }
+
+        const available = this.storage.isAvailable();
+        this.saveSlotBtn.disabled = !available;
+        this.loadSlotBtn.disabled = slots.length === 0;
+        this.deleteSlotBtn.disabled = slots.length === 0;
+    }
+
+    /**
+     * Handle the end of a round in match play
+     */
+    handleRoundEnd() {
+        this.showRoundSummary(this.match.finishRound());
+        this.autosave();
+    }
+
+    /**
+     * Show the result of a finished match round
+     * @param {Object} summary - Round summary from finishRound
+     */
+    showRoundSummary(summary) {
+        let message;
+
+        if (this.hotSeat) {
+            const south = this.playerNames.player;
+            const north = this.playerNames.ai;
+            message = `Round ${summary.round}: ${south} ${summary.playerScore} – ${north} ${summary.aiScore}. `;
+            message += summary.matchOver ?
+                `🎉 வெற்றி! (Victory!) ${this.getSideName(summary.matchWinner)} won the match in ${summary.round} rounds!` :
+                `Next round ${south} holds ${summary.holdings.player} seeds, ${north} ${summary.holdings.ai}.`;
+        } else {
+            message = `Round ${summary.round}: you ${summary.playerScore} – AI ${summary.aiScore}. `;
+            if (summary.matchOver) {
+                message += summary.matchWinner === 'player' ?
+                    `🎉 வெற்றி! (Victory!) You won the match in ${summary.round} rounds!` :
+                    `The AI won the match in ${summary.round} rounds. Better luck next time!`;
+            } else {
+                message += `Next round you hold ${summary.holdings.player} seeds, the AI ${summary.holdings.ai}.`;
+            }
+        }
+
+        if (!summary.matchOver) {
+            this.nextRoundBtn.classList.remove('hidden');
+        }
+
+        this.showGameOverMessage(message);
+        this.currentPlayerEl.textContent = summary.matchOver ? 'Match Over' : 'Round Over';
+        this.updateMatchInfo();
+    }
+
     /**
      * Handle game end
+     * The finished game (or match round) is then analyzed move by move.
      */
     handleGameEnd() {
+        if (this.match) {
+            this.handleRoundEnd();
+            this.analysis.start();
+            return;
+        }
+
         let message = '';
         
-        if (this.game.winner === 'player') {
+        if (this.hotSeat && this.game.winner !== 'tie') {
+            const winnerScore = this.game.winner === 'player' ? this.game.playerScore : this.game.aiScore;
+            message = `🎉 வெற்றி! (Victory!) ${this.getSideName(this.game.winner)} wins with ${winnerScore} stones!`;
+        } else if (this.game.winner === 'player') {
             message = `🎉 வெற்றி! (Victory!) You won with ${this.game.playerScore} stones!`;
         } else if (this.game.winner === 'ai') {
             message = `AI wins with ${this.game.aiScore} stones. Better luck next time!`;
@@ -388,8 +1752,9 @@ class PallanguzhiUI {
             message = `It's a tie! Both players scored ${this.game.playerScore} stones.`;
         }
         
-        this.gameMessageEl.innerHTML = `<div class="game-over">${message}</div>`;
+        this.showGameOverMessage(message);
         this.currentPlayerEl.textContent = 'Game Over';
+        this.analysis.start();
     }
 
     /**
@@ -397,14 +1762,39 @@ class PallanguzhiUI {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyPress(e) {
-        if (this.game.currentPlayer !== 'player' || this.animationInProgress) {
+        // Leave typing in form fields (record text, setup inputs) alone
+        if (e.target.matches && e.target.matches('input, textarea, select')) {
+            return;
+        }
+        if (this.setupMode) {
+            return;
+        }
+        if (this.replay.active) {
+            this.replay.handleKeyPress(e);
             return;
         }
 
-        // Number keys 1-7 for pit selection
+        // Undo/redo shortcuts: Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoMove();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redoMove();
+            }
+            return;
+        }
+
+        if (!this.isHumanTurn() || this.animationInProgress) {
+            return;
+        }
+
+        // Number keys 1-n select a pit on the mover's own row
         const key = parseInt(e.key);
-        if (key >= 1 && key <= 7) {
-            const pitIndex = key - 1; // Convert to 0-based index
+        if (key >= 1 && key <= this.game.pitsPerRow) {
+            const pitIndex = this.game.getPitRange(this.game.currentPlayer).start + key - 1;
             if (this.game.isValidMove(pitIndex)) {
                 this.executePlayerMove(pitIndex);
             }
@@ -421,6 +1811,12 @@ class PallanguzhiUI {
             case 'e':
                 this.toggleAIExplanations();
                 break;
+            case 't':
+                this.toggleThreats();
+                break;
+            case 'v':
+                this.toggleEvaluation();
+                break;
         }
     }
 
@@ -63,7 +63,7 @@ function showWelcomeMessage() {
                 <li>Get bonus turns by landing in your own pits with even numbers</li>
                 <li>Game ends when one side is empty</li>
             </ul>
-            <p><strong>Controls:</strong> Use number keys 1-7, 'H' for hints, 'N' for new game</p>
+            <p><strong>Controls:</strong> Use number keys 1-7 (1-n on other boards), 'H' for hints, 'N' for new game</p>
         </div>
     `;
     
@@ -121,6 +121,11 @@ function handleVisibilityChange() {
  * Handle before page unload
  */
 function handleBeforeUnload(e) {
+    // Games are autosaved after every move; only warn when the browser cannot store them
+    if (ui && ui.storage.isAvailable()) {
+        return;
+    }
+
     // Warn user if game is in progress
     if (game && !game.gameOver && (game.playerScore > 0 || game.aiScore > 0)) {
         e.preventDefault();
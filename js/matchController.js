@@ -0,0 +1,157 @@
+/**
+ * Match Controller for Pallanguzhi
+ * Plays a match over several rounds. Each player's winnings refill their pits for the
+ * next round; pits that cannot be filled are blocked, and a player who cannot fill a
+ * single pit loses the match.
+ */
+
+class PallanguzhiMatch {
+    /**
+     * @param {PallanguzhiGame} game - Game instance the rounds are played on
+     * @param {Object} state - Saved match state to continue (from getMatchState); starts a new match if omitted
+     */
+    constructor(game, state = null) {
+        this.game = game;
+        if (state) {
+            this.restoreMatchState(state);
+        } else {
+            this.startMatch();
+        }
+    }
+
+    /**
+     * Start a new match; both players begin with half of the seeds
+     */
+    startMatch() {
+        const half = this.game.spec.totalSeeds / 2;
+
+        this.round = 0;
+        this.holdings = { player: half, ai: half };
+        this.reserves = { player: 0, ai: 0 };
+        this.roundResults = [];
+        this.matchOver = false;
+        this.matchWinner = null;
+
+        this.startRound();
+    }
+
+    /**
+     * Set up the next round from each player's holdings
+     * Pits are filled in row order with the spec's starting layout. Any pit a player
+     * cannot fill is blocked, and leftover seeds stay in reserve until the round ends.
+     * Players alternate who sows first.
+     */
+    startRound() {
+        this.round++;
+
+        const spec = this.game.spec;
+        const board = new Array(spec.pitsPerRow * 2).fill(0);
+        const blockedPits = [];
+
+        for (const side of ['player', 'ai']) {
+            const offset = side === 'player' ? 0 : spec.pitsPerRow;
+            let remaining = this.holdings[side];
+
+            spec.layout.forEach((seeds, i) => {
+                if (remaining >= seeds) {
+                    board[offset + i] = seeds;
+                    remaining -= seeds;
+                } else {
+                    blockedPits.push(offset + i);
+                }
+            });
+
+            this.reserves[side] = remaining;
+        }
+
+        this.game.initializeGame({
+            board: board,
+            blockedPits: blockedPits,
+            firstPlayer: this.round % 2 === 1 ? 'player' : 'ai'
+        });
+    }
+
+    /**
+     * Close the finished round: collect winnings and decide whether the match is over
+     * @returns {Object} - Round summary
+     */
+    finishRound() {
+        if (!this.game.gameOver) {
+            throw new Error('Cannot finish a round that is still in progress');
+        }
+
+        this.holdings.player = this.reserves.player + this.game.playerScore;
+        this.holdings.ai = this.reserves.ai + this.game.aiScore;
+
+        const summary = {
+            round: this.round,
+            winner: this.game.winner,
+            playerScore: this.game.playerScore,
+            aiScore: this.game.aiScore,
+            holdings: { ...this.holdings }
+        };
+        this.roundResults.push(summary);
+
+        // A player who cannot fill even one pit has lost the match
+        const playerCanPlay = this.countFillablePits('player') > 0;
+        const aiCanPlay = this.countFillablePits('ai') > 0;
+
+        if (!playerCanPlay || !aiCanPlay) {
+            this.matchOver = true;
+            this.matchWinner = playerCanPlay ? 'player' : 'ai';
+        }
+
+        summary.matchOver = this.matchOver;
+        summary.matchWinner = this.matchWinner;
+        return summary;
+    }
+
+    /**
+     * Count how many pits a player could fill next round from their holdings
+     * @param {string} side - 'player' or 'ai'
+     * @returns {number} - Number of pits that would be open
+     */
+    countFillablePits(side) {
+        let remaining = this.holdings[side];
+        let filled = 0;
+
+        for (const seeds of this.game.spec.layout) {
+            if (remaining >= seeds) {
+                remaining -= seeds;
+                filled++;
+            }
+        }
+
+        return filled;
+    }
+
+    /**
+     * Continue a saved match
+     * The round in progress is not touched: its game is restored separately (from its record).
+     * @param {Object} state - Match state from getMatchState
+     */
+    restoreMatchState(state) {
+        this.round = state.round;
+        this.holdings = { ...state.holdings };
+        this.reserves = { ...state.reserves };
+        this.roundResults = state.roundResults.map(result => ({ ...result }));
+        this.matchOver = state.matchOver;
+        this.matchWinner = state.matchWinner;
+    }
+
+    /**
+     * Get the current match standing
+     * @returns {Object} - Round number, holdings, reserves and result
+     */
+    getMatchState() {
+        return {
+            round: this.round,
+            holdings: { ...this.holdings },
+            reserves: { ...this.reserves },
+            blockedPits: [...this.game.blockedPits],
+            roundResults: [...this.roundResults],
+            matchOver: this.matchOver,
+            matchWinner: this.matchWinner
+        };
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * Monte Carlo Tree Search Engine for Pallanguzhi
+ * An alternative to the minimax search that needs no evaluation function: it plays
+ * thousands of random games (playouts) from the position and grows a search tree towards
+ * the moves that win most often, balancing promising moves against untried ones (UCT).
+ * More playouts make it stronger.
+ */
+
+const MCTS_DEFAULT_PLAYOUTS = 5000;
+const MCTS_EXPLORATION = Math.SQRT2; // UCT exploration constant
+const MCTS_MAX_PLAYOUT_MOVES = 500; // Cut-off for playouts that wander without ending the game
+
+class MCTSEngine {
+    /**
+     * @param {Function} random - Source of random numbers in [0, 1)
+     */
+    constructor(random = Math.random) {
+        this.random = random;
+    }
+
+    /**
+     * Search a position
+     * Either side may be to move. The chosen move is the most visited one.
+     * @param {Object} state - GameState state, not over
+     * @param {Object} limits - { playouts, timeBudget } (timeBudget in ms)
+     * @param {Function} onProgress - Called with the search report every 1000 playouts
+     * @returns {Object} - { move, playouts, time, winRate, candidates } where winRate and
+     *     each candidate's { move, visits, winRate } are for the side to move
+     */
+    search(state, limits, onProgress = null) {
+        const startTime = Date.now();
+        const deadline = startTime + (limits.timeBudget || Infinity);
+        const root = this.createNode(state, null, null);
+        let playouts = 0;
+
+        while (playouts < limits.playouts) {
+            // Check the clock every 64 playouts; the first batch always runs
+            if ((playouts & 63) === 0 && playouts > 0 && Date.now() > deadline) break;
+
+            // Selection: follow the best UCT child while the node is fully expanded
+            let node = root;
+            while (node.untried.length === 0 && node.children.length > 0) {
+                node = this.selectChild(node);
+            }
+
+            // Expansion: add one untried move
+            if (node.untried.length > 0) {
+                const pick = Math.floor(this.random() * node.untried.length);
+                const move = node.untried.splice(pick, 1)[0];
+                const child = this.createNode(GameState.applyMove(node.state, move), move, node);
+                node.children.push(child);
+                node = child;
+            }
+
+            // Simulation, then backpropagation of the result to every node on the path
+            const winner = this.playout(node.state);
+            for (; node; node = node.parent) {
+                node.visits++;
+                if (node.mover === winner) {
+                    node.wins += 1;
+                } else if (winner === 'tie') {
+                    node.wins += 0.5;
+                }
+            }
+
+            playouts++;
+            if (onProgress && playouts % 1000 === 0) {
+                onProgress(this.report(root, playouts, startTime));
+            }
+        }
+
+        return this.report(root, playouts, startTime);
+    }
+
+    /**
+     * Create a search tree node
+     * @param {Object} state - Position at the node
+     * @param {number|null} move - Move that led here
+     * @param {Object|null} parent - Parent node
+     * @returns {Object} - Node
+     */
+    createNode(state, move, parent) {
+        return {
+            state: state,
+            move: move,
+            parent: parent,
+            mover: parent ? parent.state.currentPlayer : null, // Side whose wins the node counts
+            children: [],
+            untried: state.gameOver ? [] : GameState.getValidMoves(state),
+            visits: 0,
+            wins: 0
+        };
+    }
+
+    /**
+     * Pick the child with the best upper confidence bound
+     * Children count wins for the side to move at the parent, bonus turns included.
+     * @param {Object} node - Fully expanded node
+     * @returns {Object} - Child node
+     */
+    selectChild(node) {
+        const logVisits = Math.log(node.visits);
+        let best = null;
+        let bestValue = -Infinity;
+
+        for (const child of node.children) {
+            const value = child.wins / child.visits + MCTS_EXPLORATION * Math.sqrt(logVisits / child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Play random moves to the end of the game
+     * A playout still going after MCTS_MAX_PLAYOUT_MOVES is decided as if the game ended
+     * there, each side keeping the seeds on its row.
+     * @param {Object} state - Starting position
+     * @returns {string} - 'player', 'ai' or 'tie'
+     */
+    playout(state) {
+        for (let moves = 0; !state.gameOver && moves < MCTS_MAX_PLAYOUT_MOVES; moves++) {
+            const validMoves = GameState.getValidMoves(state);
+            state = GameState.applyMove(state, validMoves[Math.floor(this.random() * validMoves.length)]);
+        }
+
+        if (state.gameOver) {
+            return state.winner;
+        }
+
+        const playerTotal = state.playerScore + GameState.getRowStones(state, 'player');
+        const aiTotal = state.aiScore + GameState.getRowStones(state, 'ai');
+        if (playerTotal === aiTotal) return 'tie';
+        return playerTotal > aiTotal ? 'player' : 'ai';
+    }
+
+    /**
+     * Summarize the search so far
+     * @param {Object} root - Root node
+     * @param {number} playouts - Playouts run
+     * @param {number} startTime - When the search started
+     * @returns {Object} - Search report
+     */
+    report(root, playouts, startTime) {
+        const candidates = root.children
+            .map(child => ({ move: child.move, visits: child.visits, winRate: child.wins / child.visits }))
+            .sort((a, b) => b.visits - a.visits);
+        const best = candidates[0];
+
+        return {
+            move: best.move,
+            playouts: playouts,
+            time: Date.now() - startTime,
+            winRate: best.winRate,
+            candidates: candidates
+        };
+    }
+}
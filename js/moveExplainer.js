@@ -0,0 +1,344 @@
+/**
+ * Move Explainer for Pallanguzhi
+ * Builds move explanations from what the search found rather than from canned phrases.
+ * The expected continuation (principal variation) shows the bonus chains, the captures
+ * a move sets up for next turn and the replies it allows; the opponent's captures before
+ * and after the move show which threats it meets; the search score and the next best
+ * move's score say how much it is worth. These facts are then phrased in English or Tamil.
+ */
+
+const EXPLANATION_LANGUAGES = {
+    en: 'English',
+    ta: 'தமிழ்'
+};
+
+/**
+ * Phrases of each language
+ * Seed counts and pit lists reach the sentences already phrased, through seeds and pits.
+ */
+const EXPLANATION_TEXT = {
+    en: {
+        pits: (numbers) => (numbers.length === 1 ? `pit ${numbers[0]}` :
+            `pits ${numbers.slice(0, -1).join(', ')} and ${numbers[numbers.length - 1]}`),
+        seeds: (count) => `${count} ${count === 1 ? 'seed' : 'seeds'}`,
+        noMoves: 'No valid moves available.',
+        onlyMove: (pit) => `Only one move available from pit ${pit}.`,
+        aiChose: (pit, seeds) => `AI chose pit ${pit} (${seeds}). `,
+        suggest: (pit) => `Consider playing pit ${pit}. `,
+        capture: (seeds, pits) => `Captures ${seeds} from ${pits}. `,
+        pasu: (seeds) => `Takes ${seeds} as pasu (pits reaching four). `,
+        givesPasu: (seeds) => `Careful: it gives the opponent ${seeds} as pasu. `,
+        bonusTurn: () => 'Earns a bonus turn. ',
+        bonusChain: (moves, seeds) => (seeds ? `Starts a bonus chain of ${moves} moves that captures ${seeds}. ` :
+            `Starts a bonus chain of ${moves} moves. `),
+        setsUp: (pits, seeds) => `Sets up a capture of ${pits} next turn (${seeds}). `,
+        denies: (pit, seeds) => `Denies the opponent's capture on ${pit} (${seeds}). `,
+        allows: (seeds, pits) => `Allows the opponent to capture ${seeds} from ${pits} in reply. `,
+        quiet: () => 'A quiet move: no seeds change hands in the expected continuation. ',
+        evaluation: (seeds, depth) => (seeds > 0 ? `The search expects a lead of ${seeds} seeds ${depth} moves ahead. ` :
+            seeds < 0 ? `The search expects a deficit of ${-seeds} seeds ${depth} moves ahead. ` :
+                `The search expects an even game ${depth} moves ahead. `),
+        wonGame: () => 'The search sees a won game. ',
+        lostGame: () => 'The search sees a lost game. ',
+        margin: (seeds, pit) => `${seeds} seeds better than the next best, ${pit}. `,
+        book: (weight, alternatives) => `Book move: the opening book plays this ${weight}% of the time here, ` +
+            `with ${alternatives} other good ${alternatives === 1 ? 'move' : 'moves'}. `,
+        bookOnly: 'Book move: the opening book\'s choice here. ',
+        solvedAI: (margin) => (margin > 0 ? `Endgame solved: AI is winning by ${margin} with perfect play. ` :
+            margin < 0 ? `Endgame solved: AI is losing by ${-margin} even with perfect play. ` :
+                'Endgame solved: AI is drawing with perfect play. '),
+        solvedHint: (margin) => (margin > 0 ? `You are winning by ${margin} with perfect play. ` :
+            margin < 0 ? `You are losing by ${-margin} even with perfect play. ` :
+                'You are drawing with perfect play. '),
+        playouts: (stats) => `Playouts: ${stats.map(stat =>
+            `pit ${stat.pit} (${stat.visits} visits, ${stat.winRate}% wins)`).join(', ')}. `,
+        ranking: (entries) => `Top moves: ${entries.map(entry => `pit ${entry.pit} (${entry.score})`).join(', ')}. `,
+        winsBy: (margin) => `wins by ${margin}`,
+        losesBy: (margin) => `loses by ${margin}`,
+        draws: 'draws',
+        wins: 'wins',
+        loses: 'loses',
+        points: (seeds, unit) => `${seeds}${unit ? ' seeds' : ''}`,
+        line: (steps) => `Expected continuation: ${steps.map(step =>
+            `${step.own ? 'you' : 'opponent'} pit ${step.pit}`).join(', ')}. `,
+        lineLegend: 'Numbered pits show the expected continuation: green your moves, red your opponent\'s.',
+        hintsLeft: (count) => `${count} ${count === 1 ? 'hint' : 'hints'} left this game.`,
+        hintTitle: 'Hint:',
+        explanationTitle: 'AI Move Explanation:',
+        sideNames: { player: 'You', ai: 'AI' },
+        anyPits: (numbers) => (numbers.length === 1 ? `pit ${numbers[0]}` :
+            `pits ${numbers.slice(0, -1).join(', ')} or ${numbers[numbers.length - 1]}`),
+        threatDanger: (seeds, pits, name) => `${name} can capture ${seeds} here next move (with ${pits})`,
+        threatCapture: (seeds) => `Playing this pit captures ${seeds}`,
+        threatBonus: 'Playing this pit earns a bonus turn',
+        perfectPlay: (margin) => (margin > 0 ? `winning by ${margin} with perfect play` :
+            margin < 0 ? `losing by ${-margin} even with perfect play` : 'drawing with perfect play'),
+        drawnGame: 'Drawn game',
+        wonBy: (name, margin) => `${name} won by ${margin}`,
+        forcedWin: (depth) => `a forced win within ${depth} moves`,
+        evenPosition: 'Even position: 50% each',
+        winChance: (chance, seeds) => `${chance}% to win, about ${seeds} seeds ahead`
+    },
+    ta: {
+        pits: (numbers) => (numbers.length === 1 ? `குழி ${numbers[0]}` : `குழிகள் ${numbers.join(', ')}`),
+        seeds: (count) => `${count} ${count === 1 ? 'விதை' : 'விதைகள்'}`,
+        noMoves: 'ஆடக்கூடிய நகர்வு இல்லை.',
+        onlyMove: (pit) => `குழி ${pit} மட்டுமே ஆடக்கூடிய நகர்வு.`,
+        aiChose: (pit, seeds) => `கணினி குழி ${pit} ஐத் தேர்ந்தெடுத்தது (${seeds}). `,
+        suggest: (pit) => `குழி ${pit} ஐ ஆடிப் பாருங்கள். `,
+        capture: (seeds, pits) => `${pits} இலிருந்து ${seeds} கைப்பற்றுகிறது. `,
+        pasu: (seeds) => `நான்கை எட்டிய குழிகளிலிருந்து ${seeds} பசுவாக எடுக்கிறது. `,
+        givesPasu: (seeds) => `கவனம்: எதிராளிக்கு ${seeds} பசுவாகச் செல்கின்றன. `,
+        bonusTurn: () => 'கூடுதல் வாய்ப்பைப் பெறுகிறது. ',
+        bonusChain: (moves, seeds) => (seeds ? `${moves} நகர்வுகள் கொண்ட கூடுதல் வாய்ப்புத் தொடரைத் தொடங்கி ${seeds} கைப்பற்றுகிறது. ` :
+            `${moves} நகர்வுகள் கொண்ட கூடுதல் வாய்ப்புத் தொடரைத் தொடங்குகிறது. `),
+        setsUp: (pits, seeds) => `அடுத்த முறை ${pits} ஐக் கைப்பற்ற வழி அமைக்கிறது (${seeds}). `,
+        denies: (pit, seeds) => `${pit} மீதான எதிராளியின் கைப்பற்றலைத் தடுக்கிறது (${seeds}). `,
+        allows: (seeds, pits) => `பதிலுக்கு ${pits} இலிருந்து ${seeds} எதிராளி கைப்பற்ற இடம் தருகிறது. `,
+        quiet: () => 'அமைதியான நகர்வு: எதிர்பார்க்கப்படும் தொடரில் விதைகள் கைமாறவில்லை. ',
+        evaluation: (seeds, depth) => (seeds > 0 ? `${depth} நகர்வுகள் முன்னால் ${seeds} விதைகள் முன்னிலை எனத் தேடல் கணிக்கிறது. ` :
+            seeds < 0 ? `${depth} நகர்வுகள் முன்னால் ${-seeds} விதைகள் பின்னடைவு எனத் தேடல் கணிக்கிறது. ` :
+                `${depth} நகர்வுகள் முன்னால் சமநிலை எனத் தேடல் கணிக்கிறது. `),
+        wonGame: () => 'ஆட்டம் வெற்றி எனத் தேடல் காண்கிறது. ',
+        lostGame: () => 'ஆட்டம் தோல்வி எனத் தேடல் காண்கிறது. ',
+        margin: (seeds, pit) => `அடுத்த சிறந்த ${pit} ஐ விட ${seeds} விதைகள் சிறந்தது. `,
+        book: (weight, alternatives) => `தொடக்க நூல் நகர்வு: இங்கு இது ${weight}% முறை ஆடப்படுகிறது; ` +
+            `வேறு நல்ல நகர்வுகள்: ${alternatives}. `,
+        bookOnly: 'தொடக்க நூல் நகர்வு: இங்கு நூலின் தேர்வு இதுவே. ',
+        solvedAI: (margin) => (margin > 0 ? `இறுதி ஆட்டம் தீர்க்கப்பட்டது: சரியான ஆட்டத்தில் கணினி ${margin} வித்தியாசத்தில் வெல்லும். ` :
+            margin < 0 ? `இறுதி ஆட்டம் தீர்க்கப்பட்டது: சரியான ஆட்டத்திலும் கணினி ${-margin} வித்தியாசத்தில் தோற்கும். ` :
+                'இறுதி ஆட்டம் தீர்க்கப்பட்டது: சரியான ஆட்டத்தில் சமநிலை. '),
+        solvedHint: (margin) => (margin > 0 ? `சரியான ஆட்டத்தில் நீங்கள் ${margin} வித்தியாசத்தில் வெல்வீர்கள். ` :
+            margin < 0 ? `சரியான ஆட்டத்திலும் நீங்கள் ${-margin} வித்தியாசத்தில் தோற்பீர்கள். ` :
+                'சரியான ஆட்டத்தில் சமநிலை. '),
+        playouts: (stats) => `சோதனை ஆட்டங்கள்: ${stats.map(stat =>
+            `குழி ${stat.pit} (${stat.visits} முறை, ${stat.winRate}% வெற்றி)`).join(', ')}. `,
+        ranking: (entries) => `சிறந்த நகர்வுகள்: ${entries.map(entry => `குழி ${entry.pit} (${entry.score})`).join(', ')}. `,
+        winsBy: (margin) => `${margin} வித்தியாசத்தில் வெற்றி`,
+        losesBy: (margin) => `${margin} வித்தியாசத்தில் தோல்வி`,
+        draws: 'சமநிலை',
+        wins: 'வெற்றி',
+        loses: 'தோல்வி',
+        points: (seeds, unit) => `${seeds}${unit ? ' விதைகள்' : ''}`,
+        line: (steps) => `எதிர்பார்க்கப்படும் தொடர்: ${steps.map(step =>
+            `${step.own ? 'நீங்கள்' : 'எதிராளி'} குழி ${step.pit}`).join(', ')}. `,
+        lineLegend: 'எண்ணிட்ட குழிகள் எதிர்பார்க்கப்படும் தொடரைக் காட்டுகின்றன: பச்சை உங்கள் நகர்வுகள், சிவப்பு எதிராளியின் நகர்வுகள்.',
+        hintsLeft: (count) => `இந்த ஆட்டத்தில் இன்னும் ${count} ${count === 1 ? 'குறிப்பு' : 'குறிப்புகள்'} உள்ளன.`,
+        hintTitle: 'குறிப்பு:',
+        explanationTitle: 'கணினி நகர்வு விளக்கம்:',
+        sideNames: { player: 'நீங்கள்', ai: 'கணினி' },
+        anyPits: (numbers) => (numbers.length === 1 ? `குழி ${numbers[0]}` : `குழிகள் ${numbers.join(' அல்லது ')}`),
+        threatDanger: (seeds, pits, name) => `அடுத்த நகர்வில் ${name} ${pits} மூலம் இங்கிருந்து ${seeds} கைப்பற்றலாம்`,
+        threatCapture: (seeds) => `இந்தக் குழியை ஆடினால் ${seeds} கைப்பற்றலாம்`,
+        threatBonus: 'இந்தக் குழியை ஆடினால் கூடுதல் வாய்ப்பு கிடைக்கும்',
+        perfectPlay: (margin) => (margin > 0 ? `சரியான ஆட்டத்தில் ${margin} வித்தியாசத்தில் வெற்றி` :
+            margin < 0 ? `சரியான ஆட்டத்திலும் ${-margin} வித்தியாசத்தில் தோல்வி` : 'சரியான ஆட்டத்தில் சமநிலை'),
+        drawnGame: 'ஆட்டம் சமநிலை',
+        wonBy: (name, margin) => `${name}: ${margin} வித்தியாசத்தில் வெற்றி`,
+        forcedWin: (depth) => `${depth} நகர்வுகளுக்குள் உறுதியான வெற்றி`,
+        evenPosition: 'சம நிலை: இருவருக்கும் 50%',
+        winChance: (chance, seeds) => `வெல்ல ${chance}% வாய்ப்பு, சுமார் ${seeds} விதைகள் முன்னிலை`
+    }
+};
+
+class MoveExplainer {
+    /**
+     * @param {string} language - Key of EXPLANATION_LANGUAGES
+     */
+    constructor(language = 'en') {
+        this.setLanguage(language);
+    }
+
+    /**
+     * Choose the language explanations are phrased in
+     * @param {string} language - Key of EXPLANATION_LANGUAGES
+     */
+    setLanguage(language) {
+        if (!EXPLANATION_TEXT[language]) {
+            throw new Error(`Unknown explanation language: ${language}`);
+        }
+        this.language = language;
+        this.text = EXPLANATION_TEXT[language];
+    }
+
+    /**
+     * Explain a move from what the search found
+     * @param {Object} state - GameState state the move is played in
+     * @param {number} move - Pit played
+     * @param {Object} search - What the search found, see findFacts
+     * @returns {string} - Explanation in the current language
+     */
+    explain(state, move, search = {}) {
+        return this.describe(this.findFacts(state, move, search));
+    }
+
+    /**
+     * Work out what a move does, for the side playing it
+     * @param {Object} state - GameState state the move is played in
+     * @param {number} move - Pit played
+     * @param {Object} search - { line, score, depth, runnerUp, seedValue }, all optional: line
+     *     is the expected continuation as { player, move } starting with the move, score the
+     *     search score for the mover after depth moves, runnerUp the next best { move, score }
+     *     and seedValue the evaluation points of one seed
+     * @returns {Array<Object>} - Facts, each { type, ... } with pits given as numbers 1-n on their row
+     */
+    findFacts(state, move, search = {}) {
+        const mover = state.currentPlayer;
+        const opponent = GameState.getOpponent(mover);
+        const pitNumber = (pit) => pit % state.config.pitsPerRow + 1;
+        const line = search.line && search.line.length > 0 && search.line[0].move === move ?
+            search.line : [{ player: mover, move: move }];
+
+        // Replay the line, keeping each position and each move's captures
+        const positions = [state];
+        const captures = line.map((step, i) => {
+            const details = { path: [], relays: [], captures: [], bonusTurn: false };
+            positions.push(GameState.applyMove(positions[i], step.move, details));
+            return details.captures.filter(capture => capture.stones > 0);
+        });
+        const taken = (list) => ({
+            seeds: list.reduce((sum, capture) => sum + capture.stones, 0),
+            pits: [...new Set(list.map(capture => pitNumber(capture.pit)))].sort((a, b) => a - b)
+        });
+
+        const facts = [];
+        const captured = captures[0].filter(capture => capture.by === mover && capture.type === 'capture');
+        const pasu = captures[0].filter(capture => capture.by === mover && capture.type === 'pasu');
+        const givenPasu = captures[0].filter(capture => capture.by === opponent);
+        if (captured.length > 0) facts.push({ type: 'capture', ...taken(captured) });
+        if (pasu.length > 0) facts.push({ type: 'pasu', seeds: taken(pasu).seeds });
+        if (givenPasu.length > 0) facts.push({ type: 'givesPasu', seeds: taken(givenPasu).seeds });
+
+        // The mover keeps moving through a bonus chain
+        let chain = 1;
+        while (chain < line.length && line[chain].player === mover) chain++;
+        if (positions[1].bonusTurn && !positions[1].gameOver) {
+            const chainCaptures = captures.slice(1, chain).flat().filter(capture => capture.by === mover);
+            facts.push(chain > 1 ?
+                { type: 'bonusChain', moves: chain, seeds: taken(chainCaptures).seeds } :
+                { type: 'bonusTurn' });
+        }
+
+        // Threats the opponent had before the move and no longer has when it is their turn
+        const reply = positions[chain];
+        if (!reply.gameOver && reply.currentPlayer === opponent) {
+            const threats = MoveExplainer.threatenedPits(reply, opponent);
+            const denied = [...MoveExplainer.threatenedPits(state, opponent)]
+                .filter(([pit]) => !threats.has(pit))
+                .sort((a, b) => b[1] - a[1])[0];
+            if (denied) facts.push({ type: 'denies', pit: pitNumber(denied[0]), seeds: denied[1] });
+        }
+
+        if (chain < line.length) {
+            const allowed = captures[chain].filter(capture => capture.by === opponent);
+            if (allowed.length > 0) facts.push({ type: 'allows', ...taken(allowed) });
+
+            // The mover's next turn, after the opponent's reply and any bonus moves of theirs
+            let next = chain;
+            while (next < line.length && line[next].player === opponent) next++;
+            if (next < line.length) {
+                const reachable = new Set(MoveExplainer.listCaptures(state, mover)
+                    .flatMap(entry => entry.captures.map(capture => capture.pit)));
+                const setUp = captures[next].filter(capture =>
+                    capture.by === mover && capture.type === 'capture' && !reachable.has(capture.pit));
+                if (setUp.length > 0) facts.push({ type: 'setsUp', ...taken(setUp) });
+            }
+        }
+
+        if (facts.length === 0 && line.length > 1 && captures.every(list => list.length === 0)) {
+            facts.push({ type: 'quiet' });
+        }
+
+        // What the search thinks of the move
+        const seedValue = search.seedValue || 10;
+        const score = search.score;
+        if (score !== undefined && score !== null) {
+            if (Math.abs(score) >= 1000) {
+                facts.push({ type: score > 0 ? 'wonGame' : 'lostGame' });
+            } else if (search.depth > 0) {
+                facts.push({ type: 'evaluation', seeds: score / seedValue, depth: search.depth });
+            }
+
+            const runnerUp = search.runnerUp;
+            if (runnerUp && Math.abs(score) < 1000 && Math.abs(runnerUp.score) < 1000 &&
+                score - runnerUp.score >= seedValue / 10) {
+                facts.push({ type: 'margin', seeds: (score - runnerUp.score) / seedValue, pit: pitNumber(runnerUp.move) });
+            }
+        }
+
+        return facts;
+    }
+
+    /**
+     * Phrase facts from findFacts in the current language
+     * @param {Array<Object>} facts - Facts about a move
+     * @returns {string} - One sentence per fact
+     */
+    describe(facts) {
+        const text = this.text;
+        const seeds = (count) => text.seeds(count);
+        const pit = (number) => text.pits([number]);
+        const rounded = (value) => Number(value.toFixed(1));
+
+        return facts.map(fact => {
+            switch (fact.type) {
+                case 'capture': return text.capture(seeds(fact.seeds), text.pits(fact.pits));
+                case 'pasu': return text.pasu(seeds(fact.seeds));
+                case 'givesPasu': return text.givesPasu(seeds(fact.seeds));
+                case 'bonusTurn': return text.bonusTurn();
+                case 'bonusChain': return text.bonusChain(fact.moves, fact.seeds > 0 ? seeds(fact.seeds) : null);
+                case 'denies': return text.denies(pit(fact.pit), seeds(fact.seeds));
+                case 'allows': return text.allows(seeds(fact.seeds), text.pits(fact.pits));
+                case 'setsUp': return text.setsUp(text.pits(fact.pits), seeds(fact.seeds));
+                case 'quiet': return text.quiet();
+                case 'evaluation': return text.evaluation(rounded(fact.seeds), fact.depth);
+                case 'wonGame': return text.wonGame();
+                case 'lostGame': return text.lostGame();
+                case 'margin': return text.margin(rounded(fact.seeds), pit(fact.pit));
+                default: return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * List every move a side could play in a position, with what it would capture
+     * The side need not be the one to move: the opponent's moves show its threats.
+     * @param {Object} state - GameState state
+     * @param {string} side - 'player' or 'ai'
+     * @returns {Array<Object>} - { move, seeds, captures, bonusTurn } with seeds the side's
+     *     store gain, captures the { pit, stones } it takes and bonusTurn whether it earns one
+     */
+    static listCaptures(state, side) {
+        const position = state.currentPlayer === side ? state : { ...state, currentPlayer: side };
+
+        return GameState.getValidMoves(position).map(move => {
+            const details = { path: [], relays: [], captures: [], bonusTurn: false };
+            const next = GameState.applyMove(position, move, details);
+            const store = side === 'player' ? 'playerScore' : 'aiScore';
+            return {
+                move: move,
+                seeds: next[store] - position[store],
+                captures: details.captures
+                    .filter(capture => capture.by === side && capture.stones > 0)
+                    .map(capture => ({ pit: capture.pit, stones: capture.stones })),
+                bonusTurn: next.bonusTurn && !next.gameOver
+            };
+        });
+    }
+
+    /**
+     * Find the pits a side could capture with its next move
+     * @param {Object} state - GameState state
+     * @param {string} side - 'player' or 'ai'
+     * @returns {Map<number, number>} - Pit → most seeds the side could take from it
+     */
+    static threatenedPits(state, side) {
+        const pits = new Map();
+        for (const entry of MoveExplainer.listCaptures(state, side)) {
+            for (const capture of entry.captures) {
+                pits.set(capture.pit, Math.max(pits.get(capture.pit) || 0, capture.stones));
+            }
+        }
+        return pits;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Opening Book for Pallanguzhi
+ * Early positions mapped to weighted good moves, so the AI plays strong, varied openings
+ * without searching the same start position every game. The data (OPENING_BOOK_DATA in
+ * openingBookData.js) is generated offline by tools/buildOpeningBook.js.
+ *
+ * Data format:
+ *
+ *   {
+ *     books: {
+ *       'simplified/seven': {
+ *         '6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s': [[6, 70, -6], [4, 30, 2]],
+ *         ...
+ *       }
+ *     }
+ *   }
+ *
+ * Books are keyed by rule set and board variant, positions by their position string, and
+ * each move is [pit, weight, score] with the weight in percent and the score from the
+ * AI's perspective at the depth the book was built.
+ */
+
+class OpeningBook {
+    /**
+     * @param {Object} data - Book data, as OPENING_BOOK_DATA
+     */
+    constructor(data) {
+        this.books = (data && data.books) || {};
+    }
+
+    /**
+     * Look up the book moves of a position
+     * Rounds with blocked pits start from positions the book never saw.
+     * @param {Object} state - GameState state
+     * @returns {Array<Object>|null} - [{ move, weight, score }], or null when out of book
+     */
+    lookup(state) {
+        if (state.gameOver || state.config.blockedPits.length > 0) return null;
+
+        const book = this.books[OpeningBook.bookKey(state.config)];
+        const entry = book && book[OpeningBook.positionKey(state)];
+        if (!entry) return null;
+
+        const validMoves = GameState.getValidMoves(state);
+        const moves = entry
+            .map(([move, weight, score]) => ({ move: move, weight: weight, score: score }))
+            .filter(({ move }) => validMoves.includes(move));
+        return moves.length > 0 ? moves : null;
+    }
+
+    /**
+     * Pick a book move at random, in proportion to the weights
+     * @param {Object} state - GameState state
+     * @param {Function} random - Source of random numbers in [0, 1)
+     * @returns {Object|null} - { move, weight, score, alternatives }, or null when out of book
+     */
+    choose(state, random = Math.random) {
+        const moves = this.lookup(state);
+        if (!moves) return null;
+
+        const total = moves.reduce((sum, entry) => sum + entry.weight, 0);
+        let pick = random() * total;
+        const chosen = moves.find(entry => (pick -= entry.weight) < 0) || moves[0];
+        return { ...chosen, alternatives: moves.length - 1 };
+    }
+
+    /**
+     * Key of the book for a rule set and board
+     * @param {Object} config - GameState configuration
+     * @returns {string} - e.g. "simplified/seven"
+     */
+    static bookKey(config) {
+        return `${config.ruleSet}/${config.spec.id}`;
+    }
+
+    /**
+     * Key of a position: its position string (see GameRecord.formatPosition)
+     * @param {Object} state - GameState state
+     * @returns {string} - e.g. "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s"
+     */
+    static positionKey(state) {
+        const { board, config } = state;
+        const south = Array.from(board.subarray(0, config.pitsPerRow)).join(',');
+        const north = Array.from(board.subarray(config.pitsPerRow)).join(',');
+        const side = state.currentPlayer === 'player' ? 's' : 'n';
+
+        return `${south}/${north} ${state.playerScore}-${state.aiScore} ${side}`;
+    }
+}
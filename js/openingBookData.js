@@ -0,0 +1,167 @@
+/**
+ * Opening Book Data for Pallanguzhi (see openingBook.js)
+ * Generated by tools/buildOpeningBook.js; rebuild rather than edit by hand.
+ * Settings: depth 10, 6 plies, margin 30, up to 3 moves per position
+ */
+
+const OPENING_BOOK_DATA = {
+    settings: {"depth":10,"plies":6,"margin":30,"moves":3,"createdAt":"2026-10-19"},
+    books: {
+        "simplified/seven": {
+            "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s": [[6,87,-6],[2,13,22]],
+            "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 n": [[13,87,6],[9,13,-22]],
+            "6,6,6,12,6,6,0/7,7,7,13,7,7,6 0-0 n": [[13,69,-14],[10,31,-26]],
+            "6,6,0,13,7,7,7/7,7,6,12,6,6,6 0-0 n": [[9,100,22]],
+            "7,7,7,13,7,7,6/6,6,6,12,6,6,0 0-0 s": [[6,69,14],[3,31,26]],
+            "7,7,6,12,6,6,6/6,6,0,13,7,7,7 0-0 s": [[2,100,-22]],
+            "7,7,7,13,7,7,0/7,7,7,13,7,7,0 0-0 s": [[0,60,-17],[4,40,-11]],
+            "7,7,7,13,7,7,1/8,8,8,0,8,8,7 0-0 n": [[12,61,-43],[11,39,-50]],
+            "7,7,0,13,7,7,7/7,7,0,13,7,7,7 0-0 s": [[0,100,24]],
+            "7,7,7,13,7,7,0/7,7,7,13,7,7,0 0-0 n": [[7,60,17],[11,40,11]],
+            "8,8,8,0,8,8,7/7,7,7,13,7,7,1 0-0 s": [[5,61,43],[4,39,50]],
+            "7,7,0,13,7,7,7/7,7,0,13,7,7,7 0-0 n": [[7,100,-24]],
+            "0,8,8,14,8,8,1/8,7,7,13,7,7,0 0-0 n": [[12,45,-11],[8,39,-13],[9,16,-27]],
+            "7,7,7,13,0,8,1/8,8,8,14,8,7,0 0-0 n": [[12,100,-8]],
+            "8,8,8,14,8,8,2/8,8,8,0,8,0,8 0-0 s": [[1,63,-21],[0,23,-6],[6,14,2]],
+            "8,8,8,14,8,8,1/8,8,8,0,0,9,8 0-0 s": [[1,100,-51]],
+            "0,8,1,14,8,8,8/8,7,0,13,7,7,7 0-0 n": [[8,76,7],[7,24,-10]],
+            "8,7,7,13,7,7,0/0,8,8,14,8,8,1 0-0 s": [[5,45,11],[1,39,13],[2,16,27]],
+            "8,8,8,14,8,7,0/7,7,7,13,0,8,1 0-0 s": [[5,100,8]],
+            "8,8,8,0,8,0,8/8,8,8,14,8,8,2 0-0 n": [[8,63,21],[7,23,6],[13,14,-2]],
+            "8,8,8,0,0,9,8/8,8,8,14,8,8,1 0-0 n": [[8,100,51]],
+            "8,7,0,13,7,7,7/0,8,1,14,8,8,8 0-0 s": [[1,76,-7],[0,24,10]],
+            "1,9,9,15,9,9,1/8,7,7,13,7,0,1 0-0 s": [[0,39,-7],[1,34,-5],[5,28,-2]],
+            "1,9,8,14,8,8,1/8,0,8,14,8,8,1 0-0 s": [[1,74,-2],[0,16,21],[6,10,28]],
+            "1,9,9,14,8,8,1/8,7,0,14,8,8,1 0-0 s": [[1,100,-11]],
+            "8,8,8,14,1,9,1/8,8,8,14,8,0,1 0-0 s": [[6,45,-10],[1,37,-7],[4,19,3]],
+            "8,0,9,15,9,9,3/9,9,9,0,8,0,8 0-0 n": [[13,69,-25],[8,21,-43],[7,10,-54]],
+            "0,9,9,15,9,9,3/9,9,8,0,8,0,8 0-0 n": [[9,60,7],[8,29,-4],[13,11,-19]],
+            "8,8,8,14,8,8,0/9,9,8,0,8,0,8 0-0 n": [[8,48,-15],[7,30,-22],[13,22,-27]],
+            "8,0,9,15,9,9,2/9,9,9,0,0,9,8 0-0 n": [[7,46,-44],[13,31,-50],[12,22,-55]],
+            "1,9,1,14,8,8,8/8,0,1,14,8,8,8 0-0 s": [[6,58,4],[1,21,19],[2,20,20]],
+            "1,9,1,14,8,8,8/0,8,1,14,8,8,8 0-0 s": [[1,41,-8],[0,36,-6],[6,24,0]],
+            "8,7,7,13,7,0,1/1,9,9,15,9,9,1 0-0 n": [[7,39,7],[8,34,5],[12,28,2]],
+            "8,0,8,14,8,8,1/1,9,8,14,8,8,1 0-0 n": [[8,74,2],[7,16,-21],[13,10,-28]],
+            "8,7,0,14,8,8,1/1,9,9,14,8,8,1 0-0 n": [[8,100,11]],
+            "8,8,8,14,8,0,1/8,8,8,14,1,9,1 0-0 n": [[13,45,10],[8,37,7],[11,19,-3]],
+            "9,9,9,0,8,0,8/8,0,9,15,9,9,3 0-0 s": [[6,69,25],[1,21,43],[0,10,54]],
+            "9,9,8,0,8,0,8/0,9,9,15,9,9,3 0-0 s": [[2,60,-7],[1,29,4],[6,11,19]],
+            "9,9,8,0,8,0,8/8,8,8,14,8,8,0 0-0 s": [[1,48,15],[0,30,22],[6,22,27]],
+            "9,9,9,0,0,9,8/8,0,9,15,9,9,2 0-0 s": [[0,46,44],[6,31,50],[5,22,55]],
+            "8,0,1,14,8,8,8/1,9,1,14,8,8,8 0-0 n": [[13,58,-4],[8,21,-19],[9,20,-20]],
+            "0,8,1,14,8,8,8/1,9,1,14,8,8,8 0-0 n": [[8,41,8],[7,36,6],[13,24,0]],
+            "0,10,9,15,9,9,1/8,7,7,13,7,0,1 0-0 s": [[1,100,-13]],
+            "1,0,10,16,10,10,2/9,8,8,14,7,0,1 0-0 n": [[9,38,-12],[7,31,-15],[11,31,-15]],
+            "2,9,9,15,9,0,2/9,8,8,14,8,1,2 0-0 s": [[2,87,-6],[6,13,23]],
+            "1,0,9,15,9,9,2/9,1,9,15,8,8,1 0-0 n": [[11,58,-1],[7,42,-6]],
+            "0,10,8,14,8,8,1/8,0,8,14,8,8,1 0-0 s": [[1,80,24],[3,20,45]],
+            "1,9,8,14,8,8,0/9,0,8,14,8,8,1 0-0 n": [[12,77,36],[7,23,18]],
+            "1,0,10,15,9,9,2/9,8,1,15,8,8,1 0-0 n": [[12,49,-9],[11,31,-16],[9,19,-23]],
+            "8,8,8,14,1,9,0/9,8,8,14,8,0,1 0-0 n": [[8,64,-13],[13,27,-26],[7,9,-42]],
+            "8,0,9,15,2,10,2/9,9,9,14,8,0,1 0-0 n": [[11,48,-12],[13,37,-16],[7,15,-29]],
+            "8,8,8,14,0,10,1/8,8,8,14,8,0,1 0-0 s": [[1,45,-3],[6,45,-3],[3,9,21]],
+            "9,1,10,16,10,10,4/10,9,9,0,8,0,0 0-0 n": [[9,66,-26],[8,34,-36]],
+            "9,1,10,16,9,9,3/9,0,10,1,9,1,9 0-0 s": [[1,68,-44],[2,23,-28],[0,9,-14]],
+            "9,1,10,15,9,9,3/0,10,10,1,9,1,9 0-0 s": [[0,48,-47],[1,34,-42],[2,18,-32]],
+            "1,10,10,16,9,9,3/9,9,0,1,9,1,9 0-0 s": [[2,40,-2],[1,38,-1],[5,22,7]],
+            "1,10,10,16,9,9,3/9,0,9,1,9,1,9 0-0 s": [[5,44,-10],[2,30,-4],[1,26,-2]],
+            "1,10,10,16,10,10,4/10,9,8,0,8,0,0 0-0 n": [[8,50,-30],[9,50,-30]],
+            "9,9,9,15,8,8,0/9,0,9,1,9,1,9 0-0 s": [[3,48,-12],[2,34,-7],[0,18,3]],
+            "9,9,9,14,8,8,0/0,10,9,1,9,1,9 0-0 s": [[2,39,-22],[4,32,-19],[1,28,-17]],
+            "9,9,9,15,9,9,1/10,9,8,0,8,0,0 0-0 n": [[8,82,-10],[9,18,-33]],
+            "9,1,10,15,9,9,2/0,10,10,1,1,10,9 0-0 s": [[0,42,-41],[1,35,-38],[2,23,-32]],
+            "9,1,10,16,10,10,3/10,9,9,0,0,9,0 0-0 n": [[8,78,-57],[7,22,-76]],
+            "9,1,10,16,10,10,3/10,9,9,0,0,0,9 0-0 n": [[8,61,-46],[13,25,-59],[7,14,-68]],
+            "2,9,1,14,8,8,0/9,1,2,15,9,9,9 0-0 s": [[1,100,-3]],
+            "1,0,2,15,9,9,9/9,1,2,15,8,8,8 0-0 n": [[9,44,17],[11,32,12],[12,24,8]],
+            "1,9,0,15,8,8,8/8,0,1,14,8,8,8 0-0 n": [[7,61,10],[9,39,3]],
+            "1,0,2,15,9,9,9/1,9,2,15,8,8,8 0-0 n": [[8,67,-14],[11,18,-34],[13,15,-36]],
+            "0,10,1,14,8,8,8/0,8,1,14,8,8,8 0-0 s": [[1,100,-28]],
+            "2,9,1,14,8,8,0/1,9,2,15,9,9,9 0-0 s": [[1,57,-2],[0,43,2]],
+            "8,7,7,13,7,0,1/0,10,9,15,9,9,1 0-0 n": [[8,100,13]],
+            "9,8,8,14,7,0,1/1,0,10,16,10,10,2 0-0 s": [[2,38,12],[0,31,15],[4,31,15]],
+            "9,8,8,14,8,1,2/2,9,9,15,9,0,2 0-0 n": [[9,87,6],[13,13,-23]],
+            "9,1,9,15,8,8,1/1,0,9,15,9,9,2 0-0 s": [[4,58,1],[0,42,6]],
+            "8,0,8,14,8,8,1/0,10,8,14,8,8,1 0-0 n": [[8,80,-24],[10,20,-45]],
+            "9,0,8,14,8,8,1/1,9,8,14,8,8,0 0-0 s": [[5,77,-36],[0,23,-18]],
+            "9,8,1,15,8,8,1/1,0,10,15,9,9,2 0-0 s": [[5,49,9],[4,31,16],[2,19,23]],
+            "9,8,8,14,8,0,1/8,8,8,14,1,9,0 0-0 s": [[1,64,13],[6,27,26],[0,9,42]],
+            "9,9,9,14,8,0,1/8,0,9,15,2,10,2 0-0 s": [[4,48,12],[6,37,16],[0,15,29]],
+            "8,8,8,14,8,0,1/8,8,8,14,0,10,1 0-0 n": [[8,45,3],[13,45,3],[10,9,-21]],
+            "10,9,9,0,8,0,0/9,1,10,16,10,10,4 0-0 s": [[2,66,26],[1,34,36]],
+            "9,0,10,1,9,1,9/9,1,10,16,9,9,3 0-0 n": [[8,68,44],[9,23,28],[7,9,14]],
+            "0,10,10,1,9,1,9/9,1,10,15,9,9,3 0-0 n": [[7,48,47],[8,34,42],[9,18,32]],
+            "9,9,0,1,9,1,9/1,10,10,16,9,9,3 0-0 n": [[9,40,2],[8,38,1],[12,22,-7]],
+            "9,0,9,1,9,1,9/1,10,10,16,9,9,3 0-0 n": [[12,44,10],[9,30,4],[8,26,2]],
+            "10,9,8,0,8,0,0/1,10,10,16,10,10,4 0-0 s": [[1,50,30],[2,50,30]],
+            "9,0,9,1,9,1,9/9,9,9,15,8,8,0 0-0 n": [[10,48,12],[9,34,7],[7,18,-3]],
+            "0,10,9,1,9,1,9/9,9,9,14,8,8,0 0-0 n": [[9,39,22],[11,32,19],[8,28,17]],
+            "10,9,8,0,8,0,0/9,9,9,15,9,9,1 0-0 s": [[1,82,10],[2,18,33]],
+            "0,10,10,1,1,10,9/9,1,10,15,9,9,2 0-0 n": [[7,42,41],[8,35,38],[9,23,32]],
+            "10,9,9,0,0,9,0/9,1,10,16,10,10,3 0-0 s": [[1,78,57],[0,22,76]],
+            "10,9,9,0,0,0,9/9,1,10,16,10,10,3 0-0 s": [[1,61,46],[6,25,59],[0,14,68]],
+            "9,1,2,15,9,9,9/2,9,1,14,8,8,0 0-0 n": [[8,100,3]],
+            "9,1,2,15,8,8,8/1,0,2,15,9,9,9 0-0 s": [[2,44,-17],[4,32,-12],[5,24,-8]],
+            "8,0,1,14,8,8,8/1,9,0,15,8,8,8 0-0 s": [[0,61,-10],[2,39,-3]],
+            "1,9,2,15,8,8,8/1,0,2,15,9,9,9 0-0 s": [[1,67,14],[4,18,34],[6,15,36]],
+            "0,8,1,14,8,8,8/0,10,1,14,8,8,8 0-0 n": [[8,100,28]],
+            "1,9,2,15,9,9,9/2,9,1,14,8,8,0 0-0 n": [[8,57,2],[7,43,-2]]
+        },
+        "traditional/seven": {
+            "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 s": [[3,45,-97],[0,39,-95],[2,16,-82]],
+            "6,6,6,12,6,6,6/6,6,6,12,6,6,6 0-0 n": [[10,45,97],[7,39,95],[9,16,82]],
+            "3,12,0,0,0,3,12/1,12,2,18,2,12,12 7-0 n": [[10,100,-41]],
+            "0,0,7,13,7,7,7/0,7,7,13,7,7,7 7-0 n": [[10,66,-33],[13,34,-43]],
+            "7,7,0,0,7,7,7/7,7,0,13,7,7,7 13-0 n": [[10,100,-54]],
+            "1,12,2,18,2,12,12/3,12,0,0,0,3,12 0-7 s": [[3,100,41]],
+            "0,7,7,13,7,7,7/0,0,7,13,7,7,7 0-7 s": [[3,66,33],[6,34,43]],
+            "7,7,0,13,7,7,7/7,7,0,0,7,7,7 0-13 s": [[3,100,54]],
+            "2,0,0,2,2,1,14/3,14,0,2,1,15,15 15-10 s": [[3,100,-147]],
+            "1,1,8,14,8,8,8/1,8,8,0,0,8,8 7-8 s": [[4,72,-97],[5,28,-83]],
+            "1,1,8,14,8,8,8/0,0,7,13,7,7,0 7-7 s": [[0,100,-83]],
+            "8,8,1,1,8,8,8/8,8,1,0,0,8,8 13-8 s": [[0,100,-117]],
+            "3,14,0,2,1,15,15/2,0,0,2,2,1,14 10-15 n": [[10,100,147]],
+            "1,8,8,0,0,8,8/1,1,8,14,8,8,8 8-7 n": [[11,72,97],[12,28,83]],
+            "0,0,7,13,7,7,0/1,1,8,14,8,8,8 7-7 n": [[7,100,83]],
+            "8,8,1,0,0,8,8/8,8,1,1,8,8,8 8-13 n": [[7,100,117]],
+            "3,1,1,1,0,3,1/0,0,1,3,2,16,16 34-14 n": [[12,55,-40],[11,45,-43]],
+            "1,1,12,1,2,13,0/2,0,13,1,0,0,3 27-20 n": [[13,100,-55]],
+            "1,3,1,20,2,2,1/0,0,0,2,0,14,0 22-28 n": [[12,100,0]],
+            "2,0,2,17,11,0,0/2,2,9,15,1,9,2 17-7 n": [[10,100,-59]],
+            "0,9,2,2,9,9,9/9,9,0,1,0,0,8 21-8 n": [[10,68,-60],[13,32,-71]],
+            "0,0,1,3,2,16,16/3,1,1,1,0,3,1 14-34 s": [[5,55,40],[4,45,43]],
+            "2,0,13,1,0,0,3/1,1,12,1,2,13,0 20-27 s": [[6,100,55]],
+            "0,0,0,2,0,14,0/1,3,1,20,2,2,1 28-22 s": [[5,100,0]],
+            "2,2,9,15,1,9,2/2,0,2,17,11,0,0 7-17 s": [[3,100,59]],
+            "9,9,0,1,0,0,8/0,9,2,2,9,9,9 8-21 s": [[3,68,60],[6,32,71]],
+            "0,1,0,0,1,2,0/0,2,0,1,0,0,19 46-24 s": [[5,100,-145]],
+            "0,2,2,2,0,0,1/0,0,1,3,0,17,17 34-17 s": [[3,100,-133]],
+            "3,3,14,1,0,0,0/3,1,14,2,1,1,1 31-21 s": [[3,100,-88]],
+            "3,0,0,21,3,3,2/1,1,1,3,1,1,0 26-30 s": [[6,100,-51]],
+            "1,3,1,20,14,3,0/1,1,0,0,0,1,1 25-25 s": [[3,100,-85]],
+            "0,9,2,2,9,9,9/9,9,0,0,1,0,0 21-16 s": [[4,100,-104]],
+            "2,3,2,0,2,0,0/14,0,1,2,1,1,2 37-29 s": [[2,100,-118]],
+            "0,2,0,1,0,0,19/0,1,0,0,1,2,0 24-46 n": [[12,100,145]],
+            "0,0,1,3,0,17,17/0,2,2,2,0,0,1 17-34 n": [[10,100,133]],
+            "3,1,14,2,1,1,1/3,3,14,1,0,0,0 21-31 n": [[10,100,88]],
+            "1,1,1,3,1,1,0/3,0,0,21,3,3,2 30-26 n": [[13,100,51]],
+            "1,1,0,0,0,1,1/1,3,1,20,14,3,0 25-25 n": [[10,100,85]],
+            "9,9,0,0,1,0,0/0,9,2,2,9,9,9 16-21 n": [[11,100,104]],
+            "14,0,1,2,1,1,2/2,3,2,0,2,0,0 29-37 n": [[9,100,118]],
+            "0,1,0,0,1,0,1/1,0,1,2,0,0,19 46-24 n": [[9,100,194]],
+            "0,2,2,0,1,1,0/1,0,0,3,0,17,17 35-17 n": [[10,100,-20]],
+            "3,3,14,0,1,0,0/3,1,14,2,1,1,1 31-21 n": [[13,100,-45]],
+            "0,0,0,21,3,3,0/2,2,0,0,0,2,0 29-34 n": [[8,100,72]],
+            "3,0,0,1,16,1,2/3,3,2,0,2,0,3 35-25 n": [[11,100,-58]],
+            "0,0,2,2,0,10,10/10,10,1,1,2,1,1 30-16 n": [[8,100,-67]],
+            "2,3,0,1,3,0,0/14,0,1,2,1,1,2 37-29 n": [[9,60,-104],[11,24,-118],[10,16,-124]],
+            "1,0,1,2,0,0,19/0,1,0,0,1,0,1 24-46 s": [[2,100,-194]],
+            "1,0,0,3,0,17,17/0,2,2,0,1,1,0 17-35 s": [[3,100,20]],
+            "3,1,14,2,1,1,1/3,3,14,0,1,0,0 21-31 s": [[6,100,45]],
+            "2,2,0,0,0,2,0/0,0,0,21,3,3,0 34-29 s": [[1,100,-72]],
+            "3,3,2,0,2,0,3/3,0,0,1,16,1,2 25-35 s": [[4,100,58]],
+            "10,10,1,1,2,1,1/0,0,2,2,0,10,10 16-30 s": [[1,100,67]],
+            "14,0,1,2,1,1,2/2,3,0,1,3,0,0 29-37 s": [[2,60,104],[4,24,118],[3,16,124]]
+        }
+    }
+};
@@ -0,0 +1,283 @@
+/**
+ * Replay Viewer for Pallanguzhi
+ * Walks through a game's moveHistory forwards and backwards, seeks to any move and
+ * autoplays at an adjustable speed, reusing the board's sowing and capture animations
+ */
+
+class ReplayViewer {
+    /**
+     * @param {PallanguzhiUI} ui - UI whose board and animations the replay uses
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.game = ui.game;
+        this.active = false;
+        this.playing = false;
+        this.stepping = false;
+        this.speed = 1;
+        this.returnIndex = 0;
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        this.panelEl = document.getElementById('replay-panel');
+        this.startBtn = document.getElementById('replay-start');
+        this.backBtn = document.getElementById('replay-back');
+        this.playBtn = document.getElementById('replay-play');
+        this.forwardBtn = document.getElementById('replay-forward');
+        this.endBtn = document.getElementById('replay-end');
+        this.seekEl = document.getElementById('replay-seek');
+        this.speedEl = document.getElementById('replay-speed');
+        this.statusEl = document.getElementById('replay-status');
+        this.closeBtn = document.getElementById('replay-close');
+    }
+
+    /**
+     * Attach event listeners to the replay controls
+     */
+    attachEventListeners() {
+        this.startBtn.addEventListener('click', () => this.seek(0));
+        this.backBtn.addEventListener('click', () => this.stepBack());
+        this.playBtn.addEventListener('click', () => this.togglePlay());
+        this.forwardBtn.addEventListener('click', () => this.stepForward());
+        this.endBtn.addEventListener('click', () => this.seek(this.getTotalMoves()));
+        this.seekEl.addEventListener('input', (e) => this.seek(parseInt(e.target.value)));
+        this.speedEl.addEventListener('input', (e) => this.setSpeed(parseFloat(e.target.value)));
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Total number of moves in the line being replayed (played plus undone moves)
+     * @returns {number}
+     */
+    getTotalMoves() {
+        return this.game.moveHistory.length + this.game.redoStack.length;
+    }
+
+    /**
+     * Number of moves currently on the board
+     * @returns {number}
+     */
+    getCurrentIndex() {
+        return this.game.moveHistory.length;
+    }
+
+    /**
+     * Open the replay at the starting position
+     */
+    open() {
+        if (this.active || this.getTotalMoves() === 0) return;
+
+        this.active = true;
+        this.returnIndex = this.getCurrentIndex();
+        this.setSpeed(parseFloat(this.speedEl.value));
+        this.panelEl.classList.remove('hidden');
+        this.seekEl.max = this.getTotalMoves();
+        this.seek(0);
+    }
+
+    /**
+     * Close the replay and put the game back where it was when the replay opened
+     */
+    async close() {
+        if (!this.active) return;
+
+        this.pause();
+        while (this.stepping) {
+            await this.ui.delay(50);
+        }
+
+        this.seek(this.returnIndex);
+        this.active = false;
+        this.ui.animationSpeed = 1;
+        this.panelEl.classList.add('hidden');
+        this.ui.onReplayClosed();
+    }
+
+    /**
+     * Play the next move with the sowing and capture animations
+     * @returns {Promise<boolean>} - Whether a move was played
+     */
+    async stepForward() {
+        if (!this.active || this.stepping || this.getCurrentIndex() >= this.getTotalMoves()) {
+            return false;
+        }
+
+        this.stepping = true;
+        const entry = this.game.redo();
+
+        this.ui.hideMessages();
+        this.updateControls(entry);
+        await this.ui.animateMove(entry.move);
+        if (entry.move.captures.length > 0) {
+            await this.ui.animateCapture(entry.move.captures);
+        }
+        this.ui.updateDisplay();
+
+        this.stepping = false;
+        this.updateControls(entry);
+        return true;
+    }
+
+    /**
+     * Take back the last move shown
+     */
+    stepBack() {
+        if (!this.active || this.stepping || this.getCurrentIndex() === 0) return;
+
+        this.game.undo();
+        this.ui.updateDisplay();
+        this.updateControls();
+    }
+
+    /**
+     * Jump straight to the position after a given number of moves
+     * @param {number} index - Number of moves to have played (0 is the starting position)
+     */
+    seek(index) {
+        if (this.stepping) return;
+
+        const target = Math.max(0, Math.min(index, this.getTotalMoves()));
+        while (this.getCurrentIndex() > target) {
+            this.game.undo();
+        }
+        while (this.getCurrentIndex() < target) {
+            this.game.redo();
+        }
+
+        this.ui.updateDisplay();
+        if (this.active) {
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Start or pause autoplay
+     */
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Autoplay the remaining moves
+     */
+    async play() {
+        if (!this.active || this.playing) return;
+
+        if (this.getCurrentIndex() >= this.getTotalMoves()) {
+            this.seek(0);
+        }
+
+        this.playing = true;
+        this.updateControls();
+
+        while (this.playing && this.active && this.getCurrentIndex() < this.getTotalMoves()) {
+            await this.stepForward();
+            await this.ui.delay(800 / this.speed);
+        }
+
+        this.playing = false;
+        if (this.active) {
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Stop autoplay after the move in progress
+     */
+    pause() {
+        this.playing = false;
+        if (this.active) {
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Change the autoplay and animation speed
+     * @param {number} speed - Speed multiplier (1 is normal play speed)
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        if (this.active) {
+            this.ui.animationSpeed = this.speed;
+        }
+    }
+
+    /**
+     * Handle keyboard input while the replay is open
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyPress(e) {
+        switch (e.key) {
+            case 'ArrowRight':
+                this.stepForward();
+                break;
+            case 'ArrowLeft':
+                this.stepBack();
+                break;
+            case 'Home':
+                this.seek(0);
+                break;
+            case 'End':
+                this.seek(this.getTotalMoves());
+                break;
+            case ' ':
+                this.togglePlay();
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Refresh the replay controls and describe the move on the board
+     * @param {Object} entry - History entry of the move being shown (defaults to the last one played)
+     */
+    updateControls(entry) {
+        const index = this.getCurrentIndex();
+        const total = this.getTotalMoves();
+        const shown = entry || this.game.moveHistory[index - 1];
+
+        this.seekEl.max = total;
+        this.seekEl.value = index;
+        this.playBtn.textContent = this.playing ? '⏸' : '▶';
+        this.backBtn.disabled = index === 0;
+        this.startBtn.disabled = index === 0;
+        this.forwardBtn.disabled = index >= total;
+        this.endBtn.disabled = index >= total;
+
+        this.statusEl.textContent = `நகர்வு (Move) ${index} / ${total}` +
+            (shown ? ` · ${this.describeMove(shown)}` : ' · Starting position');
+    }
+
+    /**
+     * Describe a move for the status line
+     * @param {Object} entry - moveHistory entry
+     * @returns {string} - Description such as "You played pit 3 and captured 7"
+     */
+    describeMove(entry) {
+        const who = this.ui.getSideName(entry.player);
+        const pitNumber = this.game.getPitNumber(entry.move.startPit);
+        const captured = entry.move.captures
+            .filter(capture => capture.by === entry.player)
+            .reduce((sum, capture) => sum + capture.stones, 0);
+
+        let description = `${who} played pit ${pitNumber}`;
+        if (captured > 0) description += ` and captured ${captured}`;
+        if (entry.move.bonusTurn) description += ' (bonus turn)';
+        return description;
+    }
+}
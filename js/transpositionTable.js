@@ -0,0 +1,207 @@
+/**
+ * Transposition Table for Pallanguzhi
+ * Zobrist hashing of positions and a fixed-size table of search results, so the AI does
+ * not search a position again when a different move order (often a bonus-turn chain)
+ * leads back to it
+ */
+
+// How a stored score relates to the position's true value
+const TT_EXACT = 0;
+const TT_LOWER = 1; // True value is at least the score (the search failed high)
+const TT_UPPER = 2; // True value is at most the score (the search failed low)
+
+const TT_DEFAULT_SIZE_POWER = 18; // 2^18 entries, about 5 MB
+
+/**
+ * Deterministic 32-bit PRNG, so every page and worker builds the same hash keys
+ * @param {number} seed - Seed value
+ * @returns {Function} - Returns the next random 32-bit integer
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return (t ^ (t >>> 14)) | 0;
+    };
+}
+
+class ZobristHasher {
+    /**
+     * @param {number} pitCount - Pits on the board
+     * @param {number} maxSeeds - Most seeds a pit or store can hold (the seeds in play)
+     */
+    constructor(pitCount, maxSeeds) {
+        const random = mulberry32(0x5EED5);
+        const keys = (count) => {
+            const lo = new Int32Array(count);
+            const hi = new Int32Array(count);
+            for (let i = 0; i < count; i++) {
+                lo[i] = random();
+                hi[i] = random();
+            }
+            return { lo, hi };
+        };
+
+        this.pitCount = pitCount;
+        this.maxSeeds = maxSeeds;
+        this.pitKeys = keys(pitCount * (maxSeeds + 1)); // One key per pit and seed count
+        this.storeKeys = keys(2 * (maxSeeds + 1)); // One key per store and seed count
+        this.sideKey = keys(1); // Mixed in when North (the AI row) is to move
+    }
+
+    /**
+     * Get the shared hasher for a position's board and seeds in play
+     * Moves only carry seeds between pits and stores, so no position searched from this
+     * one holds more seeds in a pit or store than are in play here.
+     * @param {Object} state - GameState state
+     * @returns {ZobristHasher}
+     */
+    static forState(state) {
+        const seeds = state.board.reduce((sum, count) => sum + count, 0) + state.playerScore + state.aiScore;
+        const id = `${state.config.pitCount}:${seeds}`;
+        if (!ZobristHasher.cache[id]) {
+            ZobristHasher.cache[id] = new ZobristHasher(state.config.pitCount, seeds);
+        }
+        return ZobristHasher.cache[id];
+    }
+
+    /**
+     * Hash a position
+     * @param {Object} state - GameState state
+     * @returns {Object} - 64-bit hash as { lo, hi } 32-bit halves
+     */
+    hash(state) {
+        const { board } = state;
+        const stride = this.maxSeeds + 1;
+        let lo = 0;
+        let hi = 0;
+
+        for (let pit = 0; pit < this.pitCount; pit++) {
+            const key = pit * stride + board[pit];
+            lo ^= this.pitKeys.lo[key];
+            hi ^= this.pitKeys.hi[key];
+        }
+
+        const playerStore = state.playerScore;
+        const aiStore = stride + state.aiScore;
+        lo ^= this.storeKeys.lo[playerStore] ^ this.storeKeys.lo[aiStore];
+        hi ^= this.storeKeys.hi[playerStore] ^ this.storeKeys.hi[aiStore];
+
+        if (state.currentPlayer === 'ai') {
+            lo ^= this.sideKey.lo[0];
+            hi ^= this.sideKey.hi[0];
+        }
+
+        return { lo, hi };
+    }
+}
+
+ZobristHasher.cache = {};
+
+class TranspositionTable {
+    /**
+     * @param {number} sizePower - The table holds 2^sizePower entries
+     */
+    constructor(sizePower = TT_DEFAULT_SIZE_POWER) {
+        this.size = 1 << sizePower;
+        this.mask = this.size - 1;
+
+        // One entry per slot, stored column-wise to keep the table compact
+        this.keyLo = new Int32Array(this.size);
+        this.keyHi = new Int32Array(this.size);
+        this.depth = new Int8Array(this.size);
+        this.flag = new Uint8Array(this.size);
+        this.score = new Float64Array(this.size);
+        this.move = new Int8Array(this.size);
+        this.generation = new Uint8Array(this.size);
+
+        this.configId = null;
+        this.clear();
+    }
+
+    /**
+     * Identify the rules a table's entries are valid for
+     * @param {Object} config - GameState configuration
+     * @returns {string}
+     */
+    static configId(config) {
+        return `${config.pitCount}|${config.spec.totalSeeds}|${config.ruleSet}|${config.blockedPits.join(',')}`;
+    }
+
+    /**
+     * Empty the table
+     */
+    clear() {
+        this.depth.fill(-1);
+        this.currentGeneration = 0;
+        this.entries = 0;
+        this.hits = 0;
+    }
+
+    /**
+     * Prepare for a new search; entries from earlier searches stay usable but are replaced first
+     * @param {Object} config - GameState configuration of the position to search
+     */
+    newSearch(config) {
+        const configId = TranspositionTable.configId(config);
+        if (configId !== this.configId) {
+            this.clear();
+            this.configId = configId;
+        }
+        this.currentGeneration = (this.currentGeneration + 1) & 0xFF;
+        this.hits = 0;
+    }
+
+    /**
+     * Look up a position
+     * @param {Object} hash - { lo, hi } from ZobristHasher
+     * @returns {Object|null} - { depth, flag, score, move } or null if not stored
+     */
+    probe(hash) {
+        const slot = hash.lo & this.mask;
+        if (this.depth[slot] < 0 || this.keyLo[slot] !== hash.lo || this.keyHi[slot] !== hash.hi) {
+            return null;
+        }
+
+        return {
+            depth: this.depth[slot],
+            flag: this.flag[slot],
+            score: this.score[slot],
+            move: this.move[slot]
+        };
+    }
+
+    /**
+     * Store a search result
+     * A slot is overwritten when it is empty, holds the same position, was filled by an
+     * earlier search, or holds a shallower search; otherwise the deeper result is kept.
+     * @param {Object} hash - { lo, hi } from ZobristHasher
+     * @param {number} depth - Depth searched below the position
+     * @param {number} flag - TT_EXACT, TT_LOWER or TT_UPPER
+     * @param {number} score - Score found
+     * @param {number|null} move - Best move found
+     */
+    store(hash, depth, flag, score, move) {
+        const slot = hash.lo & this.mask;
+        const empty = this.depth[slot] < 0;
+        const samePosition = this.keyLo[slot] === hash.lo && this.keyHi[slot] === hash.hi;
+        const stale = this.generation[slot] !== this.currentGeneration;
+
+        if (!empty && !samePosition && !stale && depth < this.depth[slot]) {
+            return;
+        }
+        if (empty) {
+            this.entries++;
+        }
+
+        this.keyLo[slot] = hash.lo;
+        this.keyHi[slot] = hash.hi;
+        this.depth[slot] = depth;
+        this.flag[slot] = flag;
+        this.score[slot] = score;
+        this.move[slot] = move === null ? -1 : move;
+        this.generation[slot] = this.currentGeneration;
+    }
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Opening Book Builder for Pallanguzhi
+ * Generates js/openingBookData.js (see openingBook.js) by deep self-play: a deep minimax
+ * engine plays both sides from the starting position, with either side moving first.
+ * At every position of the first --plies moves it scores every move at --depth, keeps
+ * the moves within --margin of the best one (at most --moves of them), and plays on
+ * from each of them. The kept moves are weighted by their scores, so better moves are
+ * played more often and near-equal ones about as often as each other.
+ *
+ * Usage:
+ *   node tools/buildOpeningBook.js [--depth 10] [--plies 6] [--margin 30] [--moves 3]
+ *       [--rules simplified,traditional] [--variants seven] [--out js/openingBookData.js]
+ */
+
+const fs = require('fs');
+const { loadGame, createGame, parseOptions } = require('./headless');
+
+const OPTIONS = {
+    depth: 10,                          // Search depth for scoring each move
+    plies: 6,                           // Moves from the start covered by the book
+    margin: 30,                         // Keep moves this close to the best (evaluation points)
+    moves: 3,                           // Most moves kept per position
+    rules: 'simplified,traditional',    // Rule sets, comma separated
+    variants: 'seven',                  // Board variants (keys of BOARD_SPECS), comma separated
+    out: 'js/openingBookData.js'
+};
+
+// Weights follow exp(score / BOOK_TEMPERATURE), in evaluation points for the side to move
+const BOOK_TEMPERATURE = 15;
+
+/**
+ * Weight the kept moves of a position
+ * @param {Array<Object>} moves - { move, score } with scores for the side to move, best first
+ * @returns {Array<number>} - Weights in percent, in the same order, adding up to about 100
+ */
+function weighMoves(moves) {
+    const best = moves[0].score;
+    const raw = moves.map(entry => Math.exp((entry.score - best) / BOOK_TEMPERATURE));
+    const total = raw.reduce((sum, value) => sum + value, 0);
+    return raw.map(value => Math.max(1, Math.round(100 * value / total)));
+}
+
+/**
+ * Build the book for one rule set and board
+ * @param {Object} rules - { ruleSet, variant }
+ * @param {Object} options - Tool options
+ * @returns {Object} - Position string → [[pit, weight, score], ...]
+ */
+function buildBook(rules, options) {
+    const engine = new PallanguzhiAI({ maxDepth: options.depth, endgameSeeds: 0 });
+    const book = {};
+    const queue = ['player', 'ai'].map(firstPlayer => {
+        const game = createGame(rules);
+        game.initializeGame({ firstPlayer: firstPlayer });
+        return { state: game.toState(), ply: 0 };
+    });
+
+    while (queue.length > 0) {
+        const { state, ply } = queue.shift();
+        const key = OpeningBook.positionKey(state);
+        if (book[key]) continue;
+
+        const sign = state.currentPlayer === 'ai' ? 1 : -1;
+        const scored = engine.scoreMoves(state, options.depth)
+            .map(entry => ({ move: entry.move, score: entry.score, forMover: sign * entry.score }))
+            .sort((a, b) => b.forMover - a.forMover);
+        const kept = scored
+            .filter(entry => entry.forMover >= scored[0].forMover - options.margin)
+            .slice(0, options.moves);
+        const weights = weighMoves(kept.map(entry => ({ move: entry.move, score: entry.forMover })));
+
+        book[key] = kept.map((entry, i) => [entry.move, weights[i], entry.score]);
+
+        if (ply + 1 < options.plies) {
+            for (const entry of kept) {
+                const next = GameState.applyMove(state, entry.move);
+                if (!next.gameOver) queue.push({ state: next, ply: ply + 1 });
+            }
+        }
+    }
+
+    return book;
+}
+
+/**
+ * Write the book as a script that declares OPENING_BOOK_DATA
+ * @param {Object} books - Book key → book
+ * @param {Object} settings - Settings to record in the file
+ * @returns {string} - Script source
+ */
+function formatBookScript(books, settings) {
+    const lines = [];
+    for (const [bookKey, book] of Object.entries(books)) {
+        const entries = Object.entries(book).map(([position, moves]) =>
+            `            ${JSON.stringify(position)}: ${JSON.stringify(moves)}`);
+        lines.push(`        ${JSON.stringify(bookKey)}: {\n${entries.join(',\n')}\n        }`);
+    }
+
+    return `/**
+ * Opening Book Data for Pallanguzhi (see openingBook.js)
+ * Generated by tools/buildOpeningBook.js; rebuild rather than edit by hand.
+ * Settings: depth ${settings.depth}, ${settings.plies} plies, margin ${settings.margin}, ` +
+        `up to ${settings.moves} moves per position
+ */
+
+const OPENING_BOOK_DATA = {
+    settings: ${JSON.stringify(settings)},
+    books: {
+${lines.join(',\n')}
+    }
+};
+`;
+}
+
+function main() {
+    const options = parseOptions(process.argv.slice(2), OPTIONS);
+    loadGame();
+
+    const books = {};
+    const startTime = Date.now();
+    for (const ruleSet of options.rules.split(',')) {
+        for (const variant of options.variants.split(',')) {
+            if (!RULE_SETS[ruleSet] || !BOARD_SPECS[variant]) {
+                throw new Error(`Unknown rule set or board: ${ruleSet}/${variant}`);
+            }
+            const bookStart = Date.now();
+            const book = buildBook({ ruleSet: ruleSet, variant: variant }, options);
+            books[`${ruleSet}/${variant}`] = book;
+            console.log(`${ruleSet}/${variant}: ${Object.keys(book).length} positions ` +
+                `in ${((Date.now() - bookStart) / 1000).toFixed(1)}s`);
+        }
+    }
+
+    const settings = {
+        depth: options.depth,
+        plies: options.plies,
+        margin: options.margin,
+        moves: options.moves,
+        createdAt: new Date().toISOString().slice(0, 10)
+    };
+    fs.writeFileSync(options.out, formatBookScript(books, settings));
+    console.log(`Wrote ${options.out} in ${((Date.now() - startTime) / 60000).toFixed(1)} minutes`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { weighMoves, buildBook };
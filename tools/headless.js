@@ -0,0 +1,156 @@
+/**
+ * Headless Game Runner for Pallanguzhi
+ * Loads the browser scripts into Node and plays engine-vs-engine games without a page,
+ * for the tuning and tournament tools
+ *
+ * The scripts declare globals for the page, so they are run in this context in page order
+ * rather than required as modules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// Same order as the script tags in index.html; the UI scripts and the opening book data
+// (consulted by chooseBestMove, not by the searches the tools run) are left out
+const GAME_SCRIPTS = [
+    'gameState.js',
+    'gameLogic.js',
+    'gameRecord.js',
+    'transpositionTable.js',
+    'endgameSolver.js',
+    'mctsEngine.js',
+    'openingBook.js',
+    'moveExplainer.js',
+    'aiPlayer.js'
+];
+
+// Games still going after this many moves are decided on seeds held (see MCTS playouts)
+const MAX_GAME_MOVES = 1000;
+
+let loaded = false;
+
+/**
+ * Load the game scripts into the global context (once)
+ */
+function loadGame() {
+    if (loaded) return;
+
+    for (const file of GAME_SCRIPTS) {
+        const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+        vm.runInThisContext(source, { filename: file });
+    }
+    loaded = true;
+}
+
+/**
+ * Create a seeded source of random numbers in [0, 1)
+ * @param {number} seed - Seed value
+ * @returns {Function}
+ */
+function createRandom(seed) {
+    const next = mulberry32(seed);
+    return () => (next() >>> 0) / 4294967296;
+}
+
+/**
+ * Create a game with the given rules
+ * @param {Object} options - { ruleSet, variant } with variant a key of BOARD_SPECS
+ * @returns {PallanguzhiGame}
+ */
+function createGame(options = {}) {
+    return new PallanguzhiGame({
+        ruleSet: options.ruleSet || 'simplified',
+        boardSpec: BOARD_SPECS[options.variant || 'seven']
+    });
+}
+
+/**
+ * Pick a random opening so repeated games between the same engines differ
+ * @param {Object} options - Rules, as for createGame
+ * @param {number} plies - Random moves to play from the start
+ * @param {Function} random - Source of random numbers
+ * @returns {Array<number>} - Pits played, in order
+ */
+function randomOpening(options, plies, random) {
+    const game = createGame(options);
+    const moves = [];
+
+    while (moves.length < plies && !game.gameOver) {
+        const validMoves = game.getValidMoves();
+        const move = validMoves[Math.floor(random() * validMoves.length)];
+        game.makeMove(move);
+        moves.push(move);
+    }
+
+    // An opening that already ends the game is no use; play none instead
+    return game.gameOver ? [] : moves;
+}
+
+/**
+ * Play one game between two engines
+ * @param {Object} south - Engine for the bottom row ('player'), with searchBestMove(state)
+ * @param {Object} north - Engine for the top row ('ai'), with searchBestMove(state)
+ * @param {Object} options - Rules, as for createGame, plus { opening } pits to play first
+ * @returns {Object} - { winner, playerScore, aiScore, moves, game }; winner is 'player',
+ *     'ai' or 'tie'
+ */
+function playGame(south, north, options = {}) {
+    const game = createGame(options);
+    for (const move of options.opening || []) {
+        game.makeMove(move);
+    }
+
+    let moves = 0;
+    while (!game.gameOver && moves < MAX_GAME_MOVES) {
+        const validMoves = game.getValidMoves();
+        const engine = game.currentPlayer === 'ai' ? north : south;
+        const move = validMoves.length === 1 ? validMoves[0] : engine.searchBestMove(game.toState()).move;
+        game.makeMove(move);
+        moves++;
+    }
+
+    let { winner, playerScore, aiScore } = game;
+    if (!game.gameOver) {
+        playerScore += game.getRowStones('player');
+        aiScore += game.getRowStones('ai');
+        winner = playerScore === aiScore ? 'tie' : (playerScore > aiScore ? 'player' : 'ai');
+    }
+
+    return { winner: winner, playerScore: playerScore, aiScore: aiScore, moves: moves, game: game };
+}
+
+/**
+ * Read --name value options from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} defaults - Option defaults; numbers in defaults are parsed as numbers
+ * @returns {Object} - Options
+ */
+function parseOptions(argv, defaults) {
+    const options = { ...defaults };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!argv[i].startsWith('--') || !(name in defaults)) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Option --${name} needs a value`);
+        }
+        options[name] = typeof defaults[name] === 'number' ? Number(value) : value;
+    }
+
+    return options;
+}
+
+module.exports = {
+    loadGame,
+    createRandom,
+    createGame,
+    randomOpening,
+    playGame,
+    parseOptions
+};
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Engine Tournament Runner for Pallanguzhi
+ * Plays a round robin between engine configurations and reports a crosstable and Elo
+ * ratings with error bars, so a change to PallanguzhiAI can be checked for strength
+ * before it ships. Every game is saved as a game record (see gameRecord.js).
+ *
+ * Usage:
+ *   node tools/tournament.js [--config engines.json] [--games 8] [--rules simplified]
+ *       [--variant seven] [--openingPlies 4] [--seed 1] [--out tournament]
+ *
+ * The config file is a JSON list of engines:
+ *
+ *   [
+ *     { "name": "medium", "difficulty": "medium" },
+ *     { "name": "medium-tuned", "difficulty": "medium", "weights": "tools/tunedWeights.json" },
+ *     { "name": "depth-3", "difficulty": { "maxDepth": 3, "endgameSeeds": 0 } },
+ *     { "name": "mcts-2k", "difficulty": { "engine": "mcts", "playouts": 2000 } }
+ *   ]
+ *
+ * - difficulty is a key of AI_DIFFICULTIES or custom limits for PallanguzhiAI.setDifficulty
+ * - weights is a weight set, or the path of a file from tools/tuneWeights.js
+ * - Each pairing plays --games games: every random opening twice, each engine on each row
+ * - Elo is relative to the field average, with 95% intervals from bootstrap resampling
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadGame, createRandom, randomOpening, playGame, parseOptions } = require('./headless');
+
+const OPTIONS = {
+    config: '',         // Engine list; the easy, medium and MCTS levels when empty
+    games: 8,           // Games per pairing (rounded up to an even number)
+    rules: 'simplified',
+    variant: 'seven',
+    openingPlies: 4,    // Most random moves in an opening
+    seed: 1,
+    out: 'tournament'   // Directory for the game records and results.json
+};
+
+const DEFAULT_ENGINES = [
+    { name: 'easy', difficulty: 'easy' },
+    { name: 'medium', difficulty: 'medium' },
+    { name: 'mcts', difficulty: 'mcts' }
+];
+
+const BOOTSTRAP_SAMPLES = 200;
+
+/**
+ * Read the engine list and build an AI for each entry
+ * @param {string} file - Config file, or '' for the defaults
+ * @returns {Array<Object>} - [{ name, ai, description }]
+ */
+function loadEngines(file) {
+    const entries = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_ENGINES;
+    if (!Array.isArray(entries) || entries.length < 2) {
+        throw new Error('The config must list at least two engines');
+    }
+
+    const names = new Set();
+    return entries.map(entry => {
+        if (!entry.name || names.has(entry.name)) {
+            throw new Error(`Every engine needs a unique name (got "${entry.name}")`);
+        }
+        names.add(entry.name);
+
+        const ai = new PallanguzhiAI(entry.difficulty || 'medium');
+        if (entry.weights) {
+            const weights = typeof entry.weights === 'string' ?
+                JSON.parse(fs.readFileSync(entry.weights, 'utf8')) : entry.weights;
+            ai.setWeights(weights.weights || weights);
+        }
+
+        return { name: entry.name, ai: ai, description: entry };
+    });
+}
+
+/**
+ * Play every pairing
+ * @param {Array<Object>} engines - From loadEngines
+ * @param {Object} options - Tool options
+ * @returns {Array<Object>} - Games as { south, north, result, record } with engine indices
+ *     and result the score of South (1, 0.5 or 0)
+ */
+function playRoundRobin(engines, options) {
+    const random = createRandom(options.seed);
+    const rules = { ruleSet: options.rules, variant: options.variant };
+    const pairs = Math.ceil(options.games / 2);
+    const games = [];
+
+    for (let a = 0; a < engines.length; a++) {
+        for (let b = a + 1; b < engines.length; b++) {
+            for (let pair = 0; pair < pairs; pair++) {
+                const opening = randomOpening(rules, Math.floor(random() * (options.openingPlies + 1)), random);
+
+                // Same opening with colours swapped
+                for (const [south, north] of [[a, b], [b, a]]) {
+                    const played = playGame(engines[south].ai, engines[north].ai, { ...rules, opening: opening });
+                    const round = games.length + 1;
+                    games.push({
+                        south: south,
+                        north: north,
+                        result: played.winner === 'tie' ? 0.5 : (played.winner === 'player' ? 1 : 0),
+                        record: played.game.exportRecord({
+                            Event: 'Engine tournament',
+                            Round: round,
+                            South: engines[south].name,
+                            North: engines[north].name
+                        })
+                    });
+                    console.log(`Game ${round}: ${engines[south].name} (South) ${played.playerScore}-${played.aiScore} ` +
+                        `${engines[north].name} (North)`);
+                }
+            }
+        }
+    }
+
+    return games;
+}
+
+/**
+ * Estimate Elo ratings from game results (Bradley-Terry model)
+ * Each pairing gets one virtual draw so a perfect score still has a finite rating.
+ * @param {number} count - Number of engines
+ * @param {Array<Object>} games - { south, north, result } entries
+ * @returns {Array<number>} - Ratings, averaging 0
+ */
+function estimateElo(count, games) {
+    const points = Array.from({ length: count }, () => new Array(count).fill(0));
+    const played = Array.from({ length: count }, () => new Array(count).fill(0));
+
+    for (const game of games) {
+        points[game.south][game.north] += game.result;
+        points[game.north][game.south] += 1 - game.result;
+        played[game.south][game.north]++;
+        played[game.north][game.south]++;
+    }
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+            if (played[i][j] > 0) {
+                points[i][j] += 0.5;
+                played[i][j] += 1;
+            }
+        }
+    }
+
+    // Minorization-maximization updates of each engine's strength
+    let strength = new Array(count).fill(1);
+    for (let iteration = 0; iteration < 500; iteration++) {
+        strength = strength.map((own, i) => {
+            let wins = 0;
+            let expected = 0;
+            for (let j = 0; j < count; j++) {
+                if (played[i][j] === 0) continue;
+                wins += points[i][j];
+                expected += played[i][j] / (own + strength[j]);
+            }
+            return expected > 0 ? wins / expected : own;
+        });
+    }
+
+    const ratings = strength.map(value => 400 * Math.log10(value));
+    const average = ratings.reduce((sum, rating) => sum + rating, 0) / count;
+    return ratings.map(rating => rating - average);
+}
+
+/**
+ * Estimate 95% error bars by refitting the ratings on resampled games
+ * @param {number} count - Number of engines
+ * @param {Array<Object>} games - Games played
+ * @param {Function} random - Source of random numbers
+ * @returns {Array<number>} - Half-width of each engine's 95% interval
+ */
+function estimateErrors(count, games, random) {
+    const samples = Array.from({ length: count }, () => []);
+
+    for (let sample = 0; sample < BOOTSTRAP_SAMPLES; sample++) {
+        const resampled = games.map(() => games[Math.floor(random() * games.length)]);
+        estimateElo(count, resampled).forEach((rating, i) => samples[i].push(rating));
+    }
+
+    return samples.map(ratings => {
+        ratings.sort((a, b) => a - b);
+        const low = ratings[Math.floor(0.025 * ratings.length)];
+        const high = ratings[Math.ceil(0.975 * ratings.length) - 1];
+        return (high - low) / 2;
+    });
+}
+
+/**
+ * Build the crosstable: points scored by each engine against each other engine
+ * @param {number} count - Number of engines
+ * @param {Array<Object>} games - Games played
+ * @returns {Array<Array<Object>>} - [row][column] { points, games }
+ */
+function buildCrosstable(count, games) {
+    const table = Array.from({ length: count }, () =>
+        Array.from({ length: count }, () => ({ points: 0, games: 0 })));
+
+    for (const game of games) {
+        table[game.south][game.north].points += game.result;
+        table[game.south][game.north].games++;
+        table[game.north][game.south].points += 1 - game.result;
+        table[game.north][game.south].games++;
+    }
+    return table;
+}
+
+/**
+ * Format the crosstable and ratings for the terminal
+ * @param {Array<Object>} engines - Engines
+ * @param {Array<Array<Object>>} table - From buildCrosstable
+ * @param {Array<number>} ratings - Elo ratings
+ * @param {Array<number>} errors - Elo error bars
+ * @returns {string}
+ */
+function formatCrosstable(engines, table, ratings, errors) {
+    const nameWidth = Math.max(6, ...engines.map(engine => engine.name.length));
+    const cellWidth = Math.max(9, ...engines.map(engine => engine.name.length));
+    const pad = (text, width) => String(text).padEnd(width);
+
+    const order = engines.map((engine, i) => i).sort((a, b) => ratings[b] - ratings[a]);
+    const header = pad('Engine', nameWidth) + '  ' +
+        order.map(i => pad(engines[i].name, cellWidth)).join(' ') + '  Score      Elo';
+
+    const rows = order.map(i => {
+        const cells = order.map(j => {
+            if (i === j) return pad('—', cellWidth);
+            const cell = table[i][j];
+            return pad(`${cell.points}/${cell.games}`, cellWidth);
+        });
+        const points = table[i].reduce((sum, cell) => sum + cell.points, 0);
+        const games = table[i].reduce((sum, cell) => sum + cell.games, 0);
+        const elo = `${ratings[i] >= 0 ? '+' : ''}${Math.round(ratings[i])} ± ${Math.round(errors[i])}`;
+        return pad(engines[i].name, nameWidth) + '  ' + cells.join(' ') + '  ' + pad(`${points}/${games}`, 9) + '  ' + elo;
+    });
+
+    return [header, ...rows].join('\n');
+}
+
+function main() {
+    const options = parseOptions(process.argv.slice(2), OPTIONS);
+    loadGame();
+
+    const engines = loadEngines(options.config);
+    const startTime = Date.now();
+    const games = playRoundRobin(engines, options);
+
+    const ratings = estimateElo(engines.length, games);
+    const errors = estimateErrors(engines.length, games, createRandom(options.seed + 1));
+    const table = buildCrosstable(engines.length, games);
+    console.log('\n' + formatCrosstable(engines, table, ratings, errors));
+
+    fs.mkdirSync(options.out, { recursive: true });
+    games.forEach((game, i) => {
+        const file = path.join(options.out, `game-${String(i + 1).padStart(4, '0')}.txt`);
+        fs.writeFileSync(file, game.record);
+    });
+
+    const results = {
+        settings: options,
+        engines: engines.map((engine, i) => ({
+            ...engine.description,
+            elo: Math.round(ratings[i]),
+            error95: Math.round(errors[i])
+        })),
+        crosstable: table.map((row, i) => Object.fromEntries(row
+            .map((cell, j) => [engines[j].name, cell])
+            .filter((entry, j) => j !== i))),
+        games: games.map((game, i) => ({
+            round: i + 1,
+            south: engines[game.south].name,
+            north: engines[game.north].name,
+            result: game.result === 0.5 ? '1/2-1/2' : (game.result === 1 ? '1-0' : '0-1')
+        })),
+        minutes: Math.round((Date.now() - startTime) / 600) / 100,
+        createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(path.join(options.out, 'results.json'), JSON.stringify(results, null, 2) + '\n');
+    console.log(`\nWrote ${games.length} game records and results.json to ${options.out}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { estimateElo, estimateErrors, buildCrosstable };
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Evaluation Weight Tuner for Pallanguzhi
+ * Tunes DEFAULT_EVALUATION_WEIGHTS (aiPlayer.js) by self-play with SPSA (simultaneous
+ * perturbation stochastic approximation): each iteration nudges every weight up or down
+ * at random, plays a short match between the weights nudged one way and the other, and
+ * moves the weights towards whichever side won. The result is checked in a longer match
+ * against the default weights and written out with that win-rate evidence.
+ *
+ * Usage:
+ *   node tools/tuneWeights.js [--iterations 100] [--games 8] [--verify 200] [--depth 2]
+ *       [--rules simplified] [--variant seven] [--seed 1] [--out tools/tunedWeights.json]
+ *
+ * Every match plays each random opening twice, once with each set of weights on each row.
+ */
+
+const fs = require('fs');
+const { loadGame, createRandom, randomOpening, playGame, parseOptions } = require('./headless');
+
+const OPTIONS = {
+    iterations: 100,    // SPSA iterations
+    games: 8,           // Games per iteration (rounded up to an even number)
+    verify: 200,        // Games of the final check against the default weights
+    depth: 2,           // Fixed minimax depth of both engines
+    rules: 'simplified',
+    variant: 'seven',
+    seed: 1,
+    out: 'tools/tunedWeights.json'
+};
+
+// SPSA gains, in units of each weight's starting size
+const PERTURBATION = 0.2; // c: size of the nudge
+const STEP = 0.05;        // a: size of the update
+const STABILITY = 0.1;    // A, as a fraction of the iterations
+const OPENING_PLIES = 4;  // Most random moves in an opening
+
+/**
+ * Play a match between two weight sets
+ * @param {Object} weights - Weight set under test
+ * @param {Object} opponentWeights - Weight set it plays against
+ * @param {number} games - Games to play (even)
+ * @param {Object} options - Tool options
+ * @param {Function} random - Source of random numbers for the openings
+ * @param {Array<PallanguzhiAI>} engines - Two engines to reuse
+ * @returns {Object} - { games, wins, losses, draws, score, results } with score the
+ *     average result for the weights under test (1 win, 0.5 draw, 0 loss)
+ */
+function playMatch(weights, opponentWeights, games, options, random, engines) {
+    const [engine, opponent] = engines;
+    engine.setWeights(weights);
+    opponent.setWeights(opponentWeights);
+
+    const rules = { ruleSet: options.rules, variant: options.variant };
+    const results = [];
+
+    for (let i = 0; i < games; i += 2) {
+        const opening = randomOpening(rules, Math.floor(random() * (OPENING_PLIES + 1)), random);
+
+        // The weights under test play North first, then South
+        const asNorth = playGame(opponent, engine, { ...rules, opening: opening });
+        const asSouth = playGame(engine, opponent, { ...rules, opening: opening });
+        results.push(resultFor(asNorth.winner, 'ai'), resultFor(asSouth.winner, 'player'));
+    }
+
+    const wins = results.filter(result => result === 1).length;
+    const losses = results.filter(result => result === 0).length;
+    return {
+        games: results.length,
+        wins: wins,
+        losses: losses,
+        draws: results.length - wins - losses,
+        score: results.reduce((sum, result) => sum + result, 0) / results.length,
+        results: results
+    };
+}
+
+/**
+ * Score a game for one side
+ * @param {string} winner - 'player', 'ai' or 'tie'
+ * @param {string} side - Side to score for
+ * @returns {number} - 1, 0.5 or 0
+ */
+function resultFor(winner, side) {
+    if (winner === 'tie') return 0.5;
+    return winner === side ? 1 : 0;
+}
+
+/**
+ * Tune the weights with SPSA
+ * @param {Object} options - Tool options
+ * @param {Function} random - Source of random numbers
+ * @param {Array<PallanguzhiAI>} engines - Two engines to reuse
+ * @returns {Object} - Tuned weights
+ */
+function tune(options, random, engines) {
+    const keys = Object.keys(DEFAULT_EVALUATION_WEIGHTS);
+    const scale = keys.map(key => Math.max(1, Math.abs(DEFAULT_EVALUATION_WEIGHTS[key])));
+    const units = keys.map(() => 1); // Weights divided by their starting size
+    const toWeights = (values) => Object.fromEntries(keys.map((key, i) =>
+        [key, Math.round(Math.max(0, values[i]) * scale[i] * 100) / 100]));
+    const games = options.games + (options.games % 2);
+
+    for (let k = 1; k <= options.iterations; k++) {
+        const step = STEP / Math.pow(k + STABILITY * options.iterations, 0.602);
+        const nudge = PERTURBATION / Math.pow(k, 0.101);
+        const signs = keys.map(() => (random() < 0.5 ? -1 : 1));
+
+        const plus = toWeights(units.map((value, i) => value + nudge * signs[i]));
+        const minus = toWeights(units.map((value, i) => value - nudge * signs[i]));
+        const match = playMatch(plus, minus, games, options, random, engines);
+
+        // match.score - (1 - match.score): how much better the plus side did, from -1 to 1
+        const difference = 2 * match.score - 1;
+        units.forEach((value, i) => {
+            units[i] = Math.max(0, value + step * difference / (2 * nudge * signs[i]));
+        });
+
+        console.log(`Iteration ${k}/${options.iterations}: plus side scored ${match.score.toFixed(2)} ` +
+            `→ ${JSON.stringify(toWeights(units))}`);
+    }
+
+    return toWeights(units);
+}
+
+/**
+ * Summarize a match as evidence
+ * @param {Object} match - Result of playMatch
+ * @returns {Object} - Counts, score and its 95% confidence interval
+ */
+function describeEvidence(match) {
+    const mean = match.score;
+    const variance = match.results.reduce((sum, result) => sum + (result - mean) ** 2, 0) /
+        Math.max(1, match.results.length - 1);
+    const margin = 1.96 * Math.sqrt(variance / match.results.length);
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return {
+        opponent: 'DEFAULT_EVALUATION_WEIGHTS',
+        games: match.games,
+        wins: match.wins,
+        losses: match.losses,
+        draws: match.draws,
+        score: round(mean),
+        confidence95: [round(Math.max(0, mean - margin)), round(Math.min(1, mean + margin))]
+    };
+}
+
+function main() {
+    const options = parseOptions(process.argv.slice(2), OPTIONS);
+    loadGame();
+
+    const random = createRandom(options.seed);
+    const limits = { maxDepth: options.depth, endgameSeeds: 0 };
+    const engines = [new PallanguzhiAI(limits), new PallanguzhiAI(limits)];
+    const startTime = Date.now();
+
+    const weights = tune(options, random, engines);
+
+    console.log(`Checking the tuned weights over ${options.verify} games against the defaults...`);
+    const check = playMatch(weights, DEFAULT_EVALUATION_WEIGHTS, options.verify, options, random, engines);
+    const evidence = describeEvidence(check);
+    console.log(`Tuned weights scored ${evidence.score} (95% CI ${evidence.confidence95.join('–')}): ` +
+        `${evidence.wins} wins, ${evidence.losses} losses, ${evidence.draws} draws`);
+
+    const report = {
+        weights: weights,
+        defaults: DEFAULT_EVALUATION_WEIGHTS,
+        evidence: evidence,
+        settings: { ...options, engine: `minimax depth ${options.depth}` },
+        minutes: Math.round((Date.now() - startTime) / 600) / 100,
+        createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Wrote ${options.out}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { playMatch, resultFor, describeEvidence };